@@ -1,16 +1,74 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion, makeInMemoryStore } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion, makeInMemoryStore, BufferJSON, downloadMediaMessage, extractMessageContent, getContentType, normalizeMessageContent, jidNormalizedUser, proto, WAMessageStubType, decryptPollVote, isRealMessage, shouldIncrementChatUnread } = require('@whiskeysockets/baileys');
 const pino = require('pino');
 const QRCode = require('qrcode');
+const multer = require('multer');
+const AdmZip = require('adm-zip');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 
 const app = express();
 const PORT = process.env.PORT || 21466;
 const SECRET_TOKEN = process.env.SECRET_TOKEN || 'THISISMYSECURETOKEN';
+// The built-in default token only works until the first API key is created (set SECRET_TOKEN to keep a master key)
+const USING_DEFAULT_TOKEN = !process.env.SECRET_TOKEN;
+// Hashed API keys (see /api/keys)
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, 'api_keys.json');
 const SESSIONS_DIR = path.join(__dirname, 'sessions');
+// Local files can only be sent from inside this directory (used by send-media "filePath")
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || path.join(__dirname, 'media'));
+const MAX_MEDIA_SIZE_MB = parseInt(process.env.MAX_MEDIA_SIZE_MB) || 64;
+// Largest JSON body accepted by every route except send-media (which takes base64 media up to MAX_MEDIA_SIZE_MB)
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '1mb';
+// Disk cache of downloaded media per session (sessions/<name>/media_cache), oldest files are evicted past the cap.
+// 0 disables the cache.
+const MEDIA_CACHE_MAX_MB = parseInt(process.env.MEDIA_CACHE_MAX_MB) || 0;
+// API key scopes ('admin' implies the other two)
+const API_KEY_SCOPES = ['read', 'send', 'admin'];
+// Webhook delivery retry policy (attempt n waits WEBHOOK_RETRY_BASE_MS * 2^(n-1) before retrying)
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_DEAD_LETTER_LIMIT = 500;
+// WhatsApp only accepts edits of a sent message for this long
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+// Largest page /messages/:jid returns in one call
+const MAX_MESSAGES_PAGE = parseInt(process.env.MAX_MESSAGES_PAGE) || 500;
+// Largest page /chats returns in one call when paginated (?limit / ?cursor)
+const MAX_CHATS_PAGE = parseInt(process.env.MAX_CHATS_PAGE) || 500;
+// Campaign pacing defaults (random delay between sends) and the lowest delay a campaign may use
+const CAMPAIGN_DEFAULT_MIN_DELAY_MS = 5000;
+const CAMPAIGN_DEFAULT_MAX_DELAY_MS = 15000;
+const CAMPAIGN_MIN_DELAY_FLOOR_MS = parseInt(process.env.CAMPAIGN_MIN_DELAY_FLOOR_MS) || 1000;
+// Boot-time session restore: sessions connecting at once, delay between starts, and how long to wait for each
+const RESTORE_CONCURRENCY = parseInt(process.env.RESTORE_CONCURRENCY) || 2;
+const RESTORE_STAGGER_MS = parseInt(process.env.RESTORE_STAGGER_MS) || 3000;
+const RESTORE_CONNECT_TIMEOUT_MS = parseInt(process.env.RESTORE_CONNECT_TIMEOUT_MS) || 30000;
+// Reconnect backoff: attempt n waits min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2^(n-1)) +/- jitter.
+// RECONNECT_MAX_ATTEMPTS consecutive failures give up (0 = retry forever).
+const RECONNECT_BASE_DELAY_MS = parseInt(process.env.RECONNECT_BASE_DELAY_MS) || 3000;
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 5 * 60 * 1000;
+const RECONNECT_JITTER = Number.isFinite(parseFloat(process.env.RECONNECT_JITTER)) ? parseFloat(process.env.RECONNECT_JITTER) : 0.2;
+const RECONNECT_MAX_ATTEMPTS = Number.isFinite(parseInt(process.env.RECONNECT_MAX_ATTEMPTS)) ? parseInt(process.env.RECONNECT_MAX_ATTEMPTS) : 10;
+// Consecutive badSession closes after which reconnecting gives up (even when RECONNECT_MAX_ATTEMPTS is 0).
+// The credentials are kept: start-session retries them, a forced new login replaces them.
+const BAD_SESSION_MAX_ATTEMPTS = parseInt(process.env.BAD_SESSION_MAX_ATTEMPTS) || 5;
+const CONNECTION_HISTORY_LIMIT = 50;
+// WhatsApp stops accepting a pairing code after a few minutes
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+// How often due scheduled messages are checked, and how long a due message keeps retrying before it fails
+const SCHEDULER_INTERVAL_MS = 10_000;
+const SCHEDULE_RETRY_WINDOW_MINUTES = parseInt(process.env.SCHEDULE_RETRY_WINDOW_MINUTES) || 60;
+// Cached group metadata is refetched after this long even without group events (safety net for missed events)
+const GROUP_METADATA_TTL_MS = parseInt(process.env.GROUP_METADATA_TTL_MS) || 60 * 60 * 1000;
+// Participant events kept per group
+const GROUP_EVENT_LOG_LIMIT = 1000;
+// Event stream (/api/:session/events): events kept per session for Last-Event-ID resume, and the keep-alive interval
+const STREAM_BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE) || 500;
+const STREAM_HEARTBEAT_MS = 25_000;
 
 // Create sessions directory if it doesn't exist
 if (!fs.existsSync(SESSIONS_DIR)) {
@@ -18,7 +76,19 @@ if (!fs.existsSync(SESSIONS_DIR)) {
 }
 
 // Middleware
-app.use(express.json());
+// send-media bodies are parsed by mediaJsonParser on the route itself, after authentication
+const SEND_MEDIA_PATH = /^\/api\/[^/]+\/send-media\/?$/;
+app.use(express.json({
+    limit: JSON_BODY_LIMIT,
+    type: req => !SEND_MEDIA_PATH.test(req.path) && !!req.is('application/json')
+}));
+const mediaJsonParser = express.json({ limit: `${Math.ceil(MAX_MEDIA_SIZE_MB * 1.4)}mb` }); // base64 media is ~4/3 of the file size
+
+// Multipart uploads for send-media (kept in memory, passed straight to Baileys)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MEDIA_SIZE_MB * 1024 * 1024 }
+});
 
 // CORS configuration - Allow requests from your Hostinger domain
 app.use(cors({
@@ -29,7 +99,7 @@ app.use(cors({
         'http://www.whatsapp.bhavanamsc2c.com'         // WWW HTTP version
     ],
     credentials: true,
-    methods: ['GET', 'POST', 'DELETE', 'PUT', 'OPTIONS'],
+    methods: ['GET', 'POST', 'DELETE', 'PUT', 'PATCH', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -38,43 +108,21 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Session diagnostics (public endpoint for debugging) - BEFORE auth middleware
+// Session liveness (public endpoint, no auth required) - BEFORE auth middleware.
+// Deliberately minimal: the full view with files, phone number etc. is /api/:session/diagnostics/full (admin only)
 app.get('/api/:session/diagnostics', (req, res) => {
     const sessionName = req.params.session;
-    const sessionDir = getSessionDir(sessionName);
+    const info = sessionInfo.get(sessionName);
 
-    const diagnostics = {
+    res.json({
         sessionName,
-        sessionDir,
-        exists: fs.existsSync(sessionDir),
-        hasSocket: sockets.has(sessionName),
-        hasQRCode: qrCodes.has(sessionName),
-        isConnected: false,
-        files: [],
-        qrCodePreview: null
-    };
-
-    if (diagnostics.exists) {
-        diagnostics.files = fs.readdirSync(sessionDir);
-    }
-
-    const sock = sockets.get(sessionName);
-    if (sock && sock.user) {
-        diagnostics.isConnected = true;
-        diagnostics.phoneNumber = sock.user.id;
-    }
-
-    // Show first 100 chars of QR if available
-    const qrCode = qrCodes.get(sessionName);
-    if (qrCode) {
-        diagnostics.qrCodePreview = qrCode.substring(0, 100) + '...';
-        diagnostics.qrCodeLength = qrCode.length;
-    }
-
-    res.json(diagnostics);
+        alive: sockets.has(sessionName),
+        state: info ? info.state : 'disconnected',
+        timestamp: new Date().toISOString()
+    });
 });
 
-// Authentication middleware
+// Authentication middleware - accepts the SECRET_TOKEN master key or an API key created via /api/keys
 const authenticate = (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -82,10 +130,32 @@ const authenticate = (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    if (token !== SECRET_TOKEN) {
+    const apiKey = findApiKey(token);
+    if (!apiKey) {
         return res.status(401).json({ error: 'Unauthorized: Invalid token' });
     }
 
+    // Attribute the request to the key that made it
+    req.apiKey = apiKey;
+    next();
+};
+
+// Authorization middleware - the API key needs the scope ('read', 'send' or 'admin') and access to the route's :session.
+// With { global: true } the key must also cover all sessions (used for key management).
+const authorize = (scope, { global = false } = {}) => (req, res, next) => {
+    const apiKey = req.apiKey;
+
+    if (!apiKey.scopes.includes('admin') && !apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ error: `Forbidden: API key lacks the "${scope}" scope` });
+    }
+    if (global && !apiKey.sessions.includes('*')) {
+        return res.status(403).json({ error: 'Forbidden: API key must have access to all sessions' });
+    }
+    if (req.params.session && !canAccessSession(apiKey, req.params.session)) {
+        return res.status(403).json({ error: `Forbidden: API key has no access to session ${req.params.session}` });
+    }
+
+    logger.info(`🔑 ${req.method} ${req.originalUrl} by API key "${apiKey.name}" (${apiKey.id})`);
     next();
 };
 
@@ -94,12 +164,91 @@ app.use(authenticate);
 // Store active sockets
 const sockets = new Map();
 const qrCodes = new Map();
+// API keys (mirrors API_KEYS_FILE, loaded on first use): { id, name, prefix, hash, sessions, scopes, ... }
+let apiKeys = null;
+// Pairing codes issued for phone-number login: { code, phone, createdAt }
+const pairingCodes = new Map();
 // Store chats for each session (captured from events)
 const sessionChats = new Map();
-// Store messages for each session (from messages.upsert events)
+// Store messages for each session (from messages.upsert events), backed by sessions/<name>/messages/*.jsonl
 const sessionMessages = new Map();
+// Message ID -> stored message for each session (fast lookups/dedupe without scanning chat arrays)
+const sessionMessageIndex = new Map();
+// Edits, deletes, reactions and poll votes that arrived before the message they target (history sync is
+// out of order): sessionName -> Map(targetId -> [modification messages]), applied when the target is stored
+const pendingMessageModifications = new Map();
+const PENDING_MODIFICATIONS_LIMIT = 1000;
 // Store Baileys in-memory stores for each session
 const sessionStores = new Map();
+// Store webhook registrations for each session (mirrors sessions/<name>/webhooks.json)
+const sessionWebhooks = new Map();
+// Webhook deliveries waiting for a retry (mirrors sessions/<name>/webhook_retries.json):
+// sessionName -> Map(`${deliveryId}:${webhookId}` -> { webhookId, url, attempts, lastError, retryAt, payload })
+const pendingWebhookRetries = new Map();
+// Store bulk campaigns for each session: id -> campaign (mirrors sessions/<name>/campaigns/<id>.json)
+const sessionCampaigns = new Map();
+// Sessions whose campaign worker loop is currently running
+const campaignRunners = new Set();
+// Store scheduled messages for each session (mirrors sessions/<name>/scheduled_messages.json)
+const sessionScheduledMessages = new Map();
+// Group metadata of each session: sessionName -> Map(groupJid -> { metadata, fetchedAt }).
+// Fed to makeWASocket as cachedGroupMetadata and kept fresh from groups.update / group-participants.update.
+const sessionGroupMetadata = new Map();
+// Participant change log of each session (sessions/<name>/group_events.json): { [groupJid]: [event, ...] }
+const sessionGroupEvents = new Map();
+// Connection state of each session as seen by connection.update (sock.user is set from saved creds before the
+// socket is actually open, so it can't tell "connected" from "connecting").
+// { state, stateSince, connectedSince, lastDisconnect: { statusCode, reason, at }, reconnectCount,
+//   reconnectAttempts (consecutive, reset on open), badSessionCloses (consecutive badSession closes), nextReconnectAt,
+//   history, socket (the current one),
+//   lastEvents: { [event]: { at, count } } }
+const sessionInfo = new Map();
+// What to do when a session closes with a given DisconnectReason:
+// retry (with backoff), wipe (credentials are no longer usable - delete them, a new login is needed) or give_up
+const DISCONNECT_ACTIONS = {
+    [DisconnectReason.loggedOut]: 'wipe',
+    // Baileys reports every unrecognised stream error as badSession, so it is retried (bounded) rather than wiped
+    [DisconnectReason.badSession]: 'retry',
+    [DisconnectReason.multideviceMismatch]: 'wipe',
+    [DisconnectReason.connectionReplaced]: 'give_up', // another client took over - reconnecting would fight it
+    [DisconnectReason.forbidden]: 'give_up',
+    [DisconnectReason.restartRequired]: 'retry', // expected right after login, reconnects immediately
+    [DisconnectReason.connectionClosed]: 'retry',
+    [DisconnectReason.connectionLost]: 'retry',
+    [DisconnectReason.unavailableService]: 'retry'
+};
+// Outcome of the boot-time restore of saved sessions
+const restoreState = { startedAt: null, finishedAt: null, sessions: {} };
+
+// Files in a session directory that survive a forced fresh login (they hold API configuration, not WhatsApp auth)
+const PRESERVED_SESSION_FILES = ['webhooks.json', 'webhook_dead_letters.json', 'webhook_retries.json', 'campaigns', 'scheduled_messages.json'];
+
+// Events that webhooks can subscribe to ('*' subscribes to all of them)
+const WEBHOOK_EVENTS = ['message', 'message.status', 'qr', 'connected', 'disconnected', 'logged_out'];
+
+// Events pushed on the event stream (?events= filters them)
+const STREAM_EVENTS = ['qr', 'connection', 'message', 'message.status', 'presence', 'group.update', 'group.participants'];
+// Event stream of each session: { lastSeq, buffer (last STREAM_BUFFER_SIZE events), clients: Set of { res, events } }
+const sessionStreams = new Map();
+// Event IDs are "<epoch>-<seq>": an ID from before a server restart has another epoch and can't be resumed
+const STREAM_EPOCH = Date.now().toString(36);
+
+// Socket events whose last arrival is tracked for diagnostics
+const TRACKED_SOCKET_EVENTS = [
+    'connection.update', 'creds.update', 'messaging-history.set', 'messages.upsert', 'messages.update',
+    'message-receipt.update', 'chats.upsert', 'chats.update', 'contacts.upsert', 'contacts.update',
+    'groups.update', 'group-participants.update', 'presence.update'
+];
+
+// Baileys message status codes (proto.WebMessageInfo.Status)
+const MESSAGE_STATUS_NAMES = {
+    0: 'error',
+    1: 'pending',
+    2: 'server_ack',
+    3: 'delivered',
+    4: 'read',
+    5: 'played'
+};
 
 // Logger
 const logger = pino({
@@ -184,1100 +333,4715 @@ function getSessionDir(sessionName) {
     return path.join(SESSIONS_DIR, sessionName);
 }
 
-// Helper function to get messages for a chat (unread + last N messages)
-function getMessagesForChat(sessionName, jid, minCount = 10) {
-    const chatMap = sessionChats.get(sessionName);
-    const messageMap = sessionMessages.get(sessionName);
+// Helper function to normalize a phone number (digits only, 10-15 long).
+// Returns { phone } on success, or { status, error } if the length is invalid.
+function normalizePhone(phone) {
+    // Format phone number - remove all non-digits (also strips @s.whatsapp.net)
+    const cleanPhone = String(phone).split('@')[0].split(':')[0].replace(/[^\d]/g, '');
 
-    if (!messageMap) {
-        logger.debug(`getMessagesForChat: No messageMap for session ${sessionName}`);
-        return [];
+    // Validate phone number length (should be 10-15 digits)
+    if (cleanPhone.length < 10 || cleanPhone.length > 15) {
+        return {
+            status: 400,
+            error: `Invalid phone number length: ${cleanPhone.length} digits. Phone number should be 10-15 digits.`
+        };
     }
 
-    // Try exact JID match first
-    let allMessages = messageMap.get(jid);
+    return { phone: cleanPhone };
+}
 
-    // If not found, try to find by matching JID (handle different formats)
-    if (!allMessages || allMessages.length === 0) {
-        logger.debug(`getMessagesForChat: No messages found for exact JID ${jid}, checking all stored JIDs...`);
-        // List all stored JIDs for debugging
-        const storedJids = Array.from(messageMap.keys());
-        logger.debug(`getMessagesForChat: Available JIDs in store: ${storedJids.slice(0, 5).join(', ')}${storedJids.length > 5 ? '...' : ''}`);
+// Helper function to escape a vCard text value (a comma, semicolon or newline would otherwise end the value
+// or start a new property)
+function escapeVCardText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/[,;]/g, '\\$&')
+        .replace(/\r\n|\r|\n/g, '\\n');
+}
 
-        // Try to find a match (case-insensitive, handle URL encoding)
-        for (const storedJid of storedJids) {
-            if (storedJid === jid || storedJid === decodeURIComponent(jid) || decodeURIComponent(storedJid) === jid) {
-                allMessages = messageMap.get(storedJid);
-                logger.debug(`getMessagesForChat: Found match! Using ${storedJid} for requested ${jid}`);
-                break;
-            }
-        }
+// Helper function to build a vCard for a contact: { name, phones, organization, email }
+function buildVCard(contact) {
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVCardText(contact.name)}`];
+    if (contact.organization) {
+        lines.push(`ORG:${escapeVCardText(contact.organization)};`);
     }
-
-    if (!allMessages || allMessages.length === 0) {
-        logger.debug(`getMessagesForChat: No messages found for ${jid} after all checks`);
-        return [];
+    for (const phone of contact.phones) {
+        // waid lets WhatsApp show the "Message" button for the number
+        lines.push(`TEL;type=CELL;type=VOICE;waid=${phone}:+${phone}`);
     }
+    if (contact.email) {
+        lines.push(`EMAIL:${escapeVCardText(contact.email)}`);
+    }
+    lines.push('END:VCARD');
+    return lines.join('\n');
+}
 
-    logger.debug(`getMessagesForChat: Found ${allMessages.length} messages for ${jid}`);
-
-    const chat = chatMap ? chatMap.get(jid) : null;
-
-    // unread count may be in different props depending on version
-    const unreadCount = chat?.unreadCount || chat?.count || chat?.unread || 0;
-
-    const need = Math.max(minCount, unreadCount);
-    const start = Math.max(0, allMessages.length - need);
+// Helper function to build the content of a location, contacts or poll message from send-message fields.
+// Returns { content, summary } or { status, error }.
+function buildTypedMessageContent({ location, contacts, poll }) {
+    if (location) {
+        const latitude = Number(location.latitude);
+        const longitude = Number(location.longitude);
+        if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+            !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+            return { status: 400, error: 'location.latitude (-90..90) and location.longitude (-180..180) are required' };
+        }
+        return {
+            content: {
+                location: {
+                    degreesLatitude: latitude,
+                    degreesLongitude: longitude,
+                    name: location.name || undefined,
+                    address: location.address || undefined
+                }
+            },
+            summary: `[Location] ${location.name || `${latitude},${longitude}`}`
+        };
+    }
 
-    // Sort by timestamp (oldest first for display)
-    const sorted = allMessages.sort((a, b) => {
-        // Helper to extract timestamp
-        const getTs = (msg) => {
-            if (!msg) return 0;
-            // Check top-level messageTimestamp (standard Baileys)
-            if (msg.messageTimestamp) {
-                return typeof msg.messageTimestamp === 'string' || typeof msg.messageTimestamp === 'object'
-                    ? Number(msg.messageTimestamp)
-                    : msg.messageTimestamp;
+    if (contacts) {
+        const list = Array.isArray(contacts) ? contacts : [contacts];
+        if (list.length === 0) {
+            return { status: 400, error: 'contacts must contain at least one contact' };
+        }
+        const cards = [];
+        for (const contact of list) {
+            if (!contact || !contact.name) {
+                return { status: 400, error: 'Each contact needs a name' };
             }
-            // Check timestamp (custom or legacy)
-            if (msg.timestamp) {
-                return typeof msg.timestamp === 'string' || typeof msg.timestamp === 'object'
-                    ? Number(msg.timestamp)
-                    : msg.timestamp;
+            if (contact.vcard) {
+                cards.push({ displayName: contact.name, vcard: contact.vcard });
+                continue;
+            }
+            const phones = [];
+            for (const phone of [].concat(contact.phones || contact.phone || [])) {
+                const normalized = normalizePhone(phone);
+                if (normalized.error) {
+                    return { status: 400, error: `Invalid phone for contact ${contact.name}: ${normalized.error}` };
+                }
+                phones.push(normalized.phone);
             }
-            // Check nested in message (rare but possible)
-            if (msg.message && msg.message.messageTimestamp) {
-                return Number(msg.message.messageTimestamp);
+            if (phones.length === 0) {
+                return { status: 400, error: `Contact ${contact.name} needs a phone (or a vcard)` };
             }
-            return 0;
+            cards.push({ displayName: contact.name, vcard: buildVCard({ ...contact, phones }) });
+        }
+        const displayName = cards.length === 1 ? cards[0].displayName : `${cards.length} contacts`;
+        return {
+            content: { contacts: { displayName, contacts: cards } },
+            summary: `[Contacts] ${displayName}`
         };
+    }
 
-        const tsA = getTs(a);
-        const tsB = getTs(b);
-        return tsA - tsB;
-    });
+    const name = poll.name || poll.question;
+    const options = Array.isArray(poll.options) ? poll.options.map(o => String(o).trim()) : [];
+    const selectableCount = poll.selectableCount === undefined ? 1 : parseInt(poll.selectableCount);
+    if (!name || typeof name !== 'string') {
+        return { status: 400, error: 'poll.name (the question) is required' };
+    }
+    if (options.length < 2 || options.length > 12 || options.some(o => !o)) {
+        return { status: 400, error: 'poll.options must have 2 to 12 non-empty options' };
+    }
+    if (new Set(options).size !== options.length) {
+        return { status: 400, error: 'poll.options must be unique' };
+    }
+    if (isNaN(selectableCount) || selectableCount < 0 || selectableCount > options.length) {
+        return { status: 400, error: `poll.selectableCount must be between 0 (any number) and ${options.length}` };
+    }
+    return {
+        content: { poll: { name, values: options, selectableCount } },
+        summary: `[Poll] ${name}`
+    };
+}
 
-    const result = sorted.slice(start);
-    logger.debug(`getMessagesForChat: Returning ${result.length} messages (need: ${need}, start: ${start}, total: ${allMessages.length})`);
+// Helper function to normalize a list of phones/JIDs (mentions, group participants). LID JIDs (@lid) are kept
+// as they are, everything else goes through normalizePhone. Returns { jids } or { status, error }.
+function normalizeJidList(list, fieldName) {
+    if (!Array.isArray(list)) {
+        return { status: 400, error: `${fieldName} must be an array of phone numbers or JIDs` };
+    }
 
-    return result;
+    const jids = [];
+    for (const entry of list) {
+        if (typeof entry === 'string' && entry.endsWith('@lid')) {
+            jids.push(entry);
+            continue;
+        }
+        const normalized = normalizePhone(entry);
+        if (normalized.error) {
+            return { status: 400, error: `Invalid ${fieldName} entry ${entry}: ${normalized.error}` };
+        }
+        jids.push(`${normalized.phone}@s.whatsapp.net`);
+    }
+
+    return { jids: [...new Set(jids)] };
 }
 
-// Helper function to start WhatsApp socket
-async function startSocket(sessionName, forceNew = false) {
-    const sessionDir = getSessionDir(sessionName);
+// Helper function to get a group JID from a route parameter (the "@g.us" suffix is optional)
+function normalizeGroupJid(groupId) {
+    let id;
+    try {
+        id = decodeURIComponent(groupId || '');
+    } catch (e) {
+        return null; // Malformed % escape
+    }
+    if (/^[\d-]+$/.test(id)) return `${id}@g.us`;
+    if (/^[\d-]+@g\.us$/.test(id)) return id;
+    return null;
+}
 
-    // If forcing new, delete existing session directory
-    if (forceNew && fs.existsSync(sessionDir)) {
-        logger.info(`Deleting existing session directory for fresh start: ${sessionName}`);
-        try {
-            // Close existing socket if any
-            const existingSock = sockets.get(sessionName);
-            if (existingSock) {
-                try {
-                    await existingSock.end();
-                } catch (e) {
-                    // Ignore errors
-                }
-                sockets.delete(sessionName);
-            }
-            fs.rmSync(sessionDir, { recursive: true, force: true });
-        } catch (err) {
-            logger.error(`Error deleting session directory: ${err.message}`);
+// Per-participant error codes WhatsApp returns for group participant changes
+const GROUP_PARTICIPANT_ERRORS = {
+    '400': 'Bad request',
+    '401': 'Not authorized (this session is not a group admin)',
+    '403': 'Blocked by the participant\'s privacy settings - send them an invite instead',
+    '404': 'Not on WhatsApp',
+    '406': 'Not allowed',
+    '408': 'Recently left the group and cannot be added back yet',
+    '409': 'Already in the group (or not in it, for remove/promote/demote)',
+    '500': 'The group is full'
+};
+
+// Helper function to describe the per-participant result of a group participant change
+function describeParticipantResult({ status, jid, content }) {
+    const result = { jid, success: status === '200', statusCode: parseInt(status) || null, error: null };
+    if (!result.success) {
+        result.error = GROUP_PARTICIPANT_ERRORS[status] || `Failed with status ${status}`;
+        // Adds blocked by privacy settings come with an invite that can be sent to the participant
+        const addRequest = content?.content?.find?.(node => node.tag === 'add_request');
+        if (addRequest) {
+            result.inviteCode = addRequest.attrs.code || null;
+            result.inviteExpiration = addRequest.attrs.expiration ? toIsoTimestamp(addRequest.attrs.expiration) : null;
         }
     }
+    return result;
+}
 
-    // Create session directory if it doesn't exist
-    if (!fs.existsSync(sessionDir)) {
-        fs.mkdirSync(sessionDir, { recursive: true });
+// Helper function to run a WhatsApp group query with a timeout (group queries can hang on a flaky socket)
+function withGroupTimeout(promise, label) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject(new Error(`${label} timeout`)), 30000))
+    ]);
+}
+
+// Helper function to resolve the recipient JID from send request fields.
+// Supports chatJid, chatId (for replying to existing chats) and phone (for new chats).
+// Returns { jid } on success, or { status, error } if the request should be rejected.
+async function resolveTargetJid(sock, { phone, chatId, chatJid, isGroup }) {
+    // chatJid is the preferred parameter name from frontend
+    const targetJid = chatJid || chatId;
+
+    if (targetJid && targetJid.includes('@')) {
+        // Direct JID provided (for replying to chats) - can be individual or group
+        const isGroupChat = targetJid.endsWith('@g.us');
+        logger.info(`Sending message to ${isGroupChat ? 'group' : 'chat'}: ${targetJid}`);
+        return { jid: targetJid };
     }
 
-    const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
-    const { version } = await fetchLatestBaileysVersion();
+    if (isGroup && chatId) {
+        logger.info(`Sending message to group: ${chatId}`);
+        return { jid: chatId };
+    }
 
-    logger.info(`Creating socket for session: ${sessionName}`);
-    logger.info(`Session directory: ${sessionDir}`);
-    logger.info(`Has credentials: ${fs.existsSync(path.join(sessionDir, 'creds.json'))}`);
+    if (!phone) {
+        return { status: 400, error: 'Either phone or chatId (with isGroup) is required' };
+    }
 
-    // Initialize in-memory store
-    if (!sessionStores.has(sessionName)) {
-        logger.info(`Initializing in-memory store for session: ${sessionName}`);
-        const store = createInMemoryStore({ logger });
+    const normalized = normalizePhone(phone);
+    if (normalized.error) {
+        return normalized;
+    }
+    const cleanPhone = normalized.phone;
 
-        // Try to read from file if exists
-        const storePath = path.join(sessionDir, 'baileys_store.json');
-        if (fs.existsSync(storePath)) {
-            try {
-                store.readFromFile(storePath);
-                logger.info(`Loaded store from file for session: ${sessionName}`);
-            } catch (err) {
-                logger.error(`Failed to load store from file: ${err.message}`);
-            }
+    const jid = `${cleanPhone}@s.whatsapp.net`;
+    logger.info(`Sending message to phone: ${jid} (cleaned from: ${phone})`);
+
+    // Verify the number is on WhatsApp before sending (optional but recommended)
+    try {
+        const exists = await sock.onWhatsApp(jid);
+        if (!exists || !exists[0] || !exists[0].exists) {
+            logger.warn(`Phone number ${jid} is not on WhatsApp`);
+            return { status: 400, error: `Phone number ${cleanPhone} is not registered on WhatsApp` };
         }
+        logger.info(`Verified ${jid} is on WhatsApp`);
+    } catch (verifyError) {
+        logger.warn(`Could not verify WhatsApp status for ${jid}: ${verifyError.message}`);
+        // Continue anyway - sometimes verification fails but message can still be sent
+    }
 
-        // Save to file every 10 seconds
-        setInterval(() => {
-            try {
-                store.writeToFile(storePath);
-            } catch (err) {
-                // Ignore write errors
-            }
-        }, 10_000);
+    return { jid };
+}
 
-        sessionStores.set(sessionName, store);
+// Helper function to turn a send failure into a more helpful error message
+function describeSendError(error) {
+    if (error.message.includes('not-authorized')) {
+        return 'Session not authorized. Please reconnect your WhatsApp session.';
+    } else if (error.message.includes('rate limit')) {
+        return 'Rate limit exceeded. Please wait before sending more messages.';
+    } else if (error.message.includes('not found') || error.message.includes('404')) {
+        return 'Recipient not found on WhatsApp.';
     }
+    return error.message;
+}
 
-    const store = sessionStores.get(sessionName);
+// Common file extensions -> mimetype (used when the client doesn't send one)
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.3gp': 'video/3gpp',
+    '.mov': 'video/quicktime',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.ogg': 'audio/ogg; codecs=opus',
+    '.opus': 'audio/ogg; codecs=opus',
+    '.wav': 'audio/wav',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.zip': 'application/zip'
+};
 
-    const sock = makeWASocket({
-        version,
-        logger,
-        printQRInTerminal: true, // Enable QR code in terminal
-        auth: state,
-        browser: ['WhatsApp Bulk', 'Chrome', '1.0.0'],
-        syncFullHistory: true, // ✅ CRITICAL: Enable full message history sync
-        generateHighQualityLinkPreview: true, // Enable link previews
-        getMessage: async (key) => {
-            // Return message from store if available (according to Baileys docs)
-            if (key && key.remoteJid) {
-                const messageStore = sessionMessages.get(sessionName);
-                if (messageStore && messageStore.has(key.remoteJid)) {
-                    const chatMessages = messageStore.get(key.remoteJid);
-                    const found = chatMessages.find(m => m.key?.id === key.id);
-                    if (found) {
-                        return found.message;
-                    }
-                }
-            }
-            // Fallback: return placeholder
-            return {
-                conversation: 'Message'
-            };
-        }
-    });
+function guessMimeType(fileName) {
+    if (!fileName) return null;
+    return MIME_TYPES[path.extname(fileName).toLowerCase()] || null;
+}
 
-    // Bind store to socket events
-    store.bind(sock.ev);
-    sock.store = store; // Attach store to socket for API access
+// Helper function to pick a file extension for a mimetype (reverse of MIME_TYPES)
+function getExtensionForMimeType(mimetype) {
+    if (!mimetype) return '';
+    const base = mimetype.split(';')[0].trim().toLowerCase();
+    const match = Object.entries(MIME_TYPES).find(([, type]) => type.split(';')[0] === base);
+    return match ? match[0] : '';
+}
 
-    // Listen for contacts sync
-    sock.ev.on('contacts.upsert', (contacts) => {
-        logger.info(`📇 Contacts upsert: ${contacts.length} contacts`);
-        // Contacts are automatically stored in sock.store.contacts via store.bind
-    });
+// Message types that carry downloadable media
+const MEDIA_MESSAGE_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+
+// Helper function to describe the media of a stored message (unwraps ephemeral/view once/document with caption).
+// Returns { type, mimetype, fileName, fileLength } or null if the message has no media.
+function getMediaInfo(msg) {
+    const content = extractMessageContent(msg.message);
+    const contentType = content ? getContentType(content) : null;
+    if (!contentType || !MEDIA_MESSAGE_TYPES.includes(contentType)) return null;
+
+    const media = content[contentType];
+    const mimetype = media.mimetype || 'application/octet-stream';
+    const fileLength = Number(media.fileLength);
+    return {
+        type: contentType.replace('Message', ''),
+        mimetype,
+        fileName: media.fileName || `${msg.key.id}${getExtensionForMimeType(mimetype)}`,
+        fileLength: fileLength > 0 ? fileLength : null
+    };
+}
 
-    sock.ev.on('contacts.update', (updates) => {
-        logger.info(`📇 Contacts updated: ${updates.length} contacts`);
-    });
+// Helper function to get the cache file of a message's media
+function getMediaCachePath(sessionName, messageId) {
+    return path.join(getSessionDir(sessionName), 'media_cache', encodeURIComponent(messageId));
+}
 
-    // Log when contacts are ready
-    setTimeout(() => {
-        if (sock.store && sock.store.contacts) {
-            const contacts = sock.store.contacts;
-            const contactCount = contacts instanceof Map ? contacts.size : Object.keys(contacts).length;
-            logger.info(`📇 Contact store has ${contactCount} contacts`);
+// Delete the least recently used cached media of a session until it fits in MEDIA_CACHE_MAX_MB
+function enforceMediaCacheLimit(sessionName) {
+    const cacheDir = path.join(getSessionDir(sessionName), 'media_cache');
+    if (!fs.existsSync(cacheDir)) return;
+
+    const files = fs.readdirSync(cacheDir)
+        .filter(file => !file.endsWith('.tmp'))
+        .map(file => {
+            const stat = fs.statSync(path.join(cacheDir, file));
+            return { file, size: stat.size, mtime: stat.mtimeMs };
+        })
+        .sort((a, b) => a.mtime - b.mtime);
+
+    const maxBytes = MEDIA_CACHE_MAX_MB * 1024 * 1024;
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+    for (const f of files) {
+        if (total <= maxBytes) break;
+        fs.unlinkSync(path.join(cacheDir, f.file));
+        total -= f.size;
+        logger.debug(`Evicted cached media ${f.file} of session ${sessionName}`);
+    }
+}
 
-            // Log sample contacts
-            if (contacts instanceof Map) {
-                for (const [id, contact] of Array.from(contacts.entries()).slice(0, 5)) {
-                    logger.info(`Contact: ${id} => ${contact.name || contact.notify || contact.pushName || 'No name'}`);
-                }
-            } else {
-                const keys = Object.keys(contacts).slice(0, 5);
-                for (const key of keys) {
-                    const contact = contacts[key];
-                    logger.info(`Contact: ${key} => ${contact.name || contact.notify || contact.pushName || 'No name'}`);
-                }
-            }
+// Helper function to build a Content-Disposition header (ASCII fallback + UTF-8 filename)
+function getContentDisposition(fileName, asAttachment) {
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${asAttachment ? 'attachment' : 'inline'}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+// Helper function to load media from a multipart upload, a base64 payload or a file inside MEDIA_DIR.
+// Returns { buffer, mimetype, fileName } on success, or { status, error } if the input is unusable.
+function loadMediaSource({ file, base64, filePath, mimetype, fileName }) {
+    if (file) {
+        return {
+            buffer: file.buffer,
+            mimetype: mimetype || file.mimetype || guessMimeType(file.originalname) || 'application/octet-stream',
+            fileName: fileName || file.originalname
+        };
+    }
+
+    if (base64) {
+        let data = String(base64);
+        let dataUrlMime = null;
+
+        // Accept data URLs as well as bare base64 ("data:image/png;base64,....")
+        const dataUrlMatch = data.match(/^data:([^;,]+)(?:;[^,]*)?,(.*)$/s);
+        if (dataUrlMatch) {
+            dataUrlMime = dataUrlMatch[1];
+            data = dataUrlMatch[2];
         }
-    }, 5000);
 
-    // Save credentials whenever they update
-    sock.ev.on('creds.update', async () => {
-        try {
-            await saveCreds();
-            logger.info(`✓ Credentials saved for session: ${sessionName}`);
-        } catch (err) {
-            logger.error(`Error saving credentials: ${err.message}`);
+        const buffer = Buffer.from(data, 'base64');
+        if (buffer.length === 0) {
+            return { status: 400, error: 'base64 payload is empty or invalid' };
+        }
+        if (buffer.length > MAX_MEDIA_SIZE_MB * 1024 * 1024) {
+            return { status: 413, error: `Media exceeds the ${MAX_MEDIA_SIZE_MB} MB limit` };
         }
-    });
 
-    sock.ev.on('connection.update', async (update) => {
-        const { connection, lastDisconnect, qr, isNewLogin, isOnline } = update;
+        return {
+            buffer,
+            mimetype: mimetype || dataUrlMime || guessMimeType(fileName) || 'application/octet-stream',
+            fileName
+        };
+    }
 
-        // Log all connection updates for debugging
-        logger.info(`Session ${sessionName} - connection: ${connection}, hasQR: ${!!qr}, isNewLogin: ${isNewLogin}, isOnline: ${isOnline}`);
+    if (filePath) {
+        // Only allow files inside MEDIA_DIR so the API can't be used to read session credentials etc.
+        const resolved = path.resolve(MEDIA_DIR, filePath);
+        if (resolved !== MEDIA_DIR && !resolved.startsWith(MEDIA_DIR + path.sep)) {
+            return { status: 400, error: 'filePath must be inside the media directory' };
+        }
+        if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+            return { status: 404, error: `File not found: ${filePath}` };
+        }
+        if (fs.statSync(resolved).size > MAX_MEDIA_SIZE_MB * 1024 * 1024) {
+            return { status: 413, error: `Media exceeds the ${MAX_MEDIA_SIZE_MB} MB limit` };
+        }
 
-        // Handle QR code - according to Baileys docs, QR is emitted when connection === "connecting" or when qr is present
-        if (qr) {
-            try {
-                logger.info(`QR code received for session: ${sessionName}`);
-                logger.info(`QR code length: ${qr.length} characters`);
+        return {
+            buffer: fs.readFileSync(resolved),
+            mimetype: mimetype || guessMimeType(resolved) || 'application/octet-stream',
+            fileName: fileName || path.basename(resolved)
+        };
+    }
 
-                // Generate QR code image
-                const qrImage = await QRCode.toDataURL(qr, {
-                    errorCorrectionLevel: 'M',
-                    type: 'image/png',
-                    quality: 0.92,
-                    margin: 1,
-                    width: 300
-                });
+    return { status: 400, error: 'Media is required: upload a "file", or provide "base64" or "filePath"' };
+}
 
-                const base64QR = qrImage.split(',')[1]; // Store base64 without data URL prefix
-                qrCodes.set(sessionName, base64QR);
-                logger.info(`✓ QR code generated and stored for session: ${sessionName}`);
+// Helper function to check that audio can be sent as a voice note. WhatsApp only plays ogg/opus voice notes
+// and the server doesn't transcode, so other formats (mp3, m4a, ...) would arrive unplayable.
+function isVoiceNoteMimetype(mimetype) {
+    return /^(audio\/ogg|audio\/opus|application\/ogg)\b/.test(mimetype || '');
+}
 
-                // Also log QR to terminal for visibility
-                console.log(`\n=== QR CODE FOR ${sessionName} ===`);
-                console.log(qr);
-                console.log(`=== END QR CODE ===\n`);
-            } catch (err) {
-                logger.error('Error generating QR code:', err);
-                logger.error('Error stack:', err.stack);
-            }
-        }
-
-        // Handle connection states
-        if (connection === 'connecting') {
-            logger.info(`Session ${sessionName} is connecting...`);
-            // Store socket even during connecting to keep it alive
-            if (!sockets.has(sessionName)) {
-                sockets.set(sessionName, sock);
-            }
-        } else if (connection === 'close') {
-            const statusCode = lastDisconnect?.error?.output?.statusCode;
-            const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
-
-            logger.info(`Session ${sessionName} disconnected. Status code: ${statusCode}`);
-            logger.info(`Should reconnect: ${shouldReconnect}`);
+// Helper function to build the Baileys message content for a media send.
+// Picks image/video/audio/document from the mimetype unless asDocument / asVoiceNote override it.
+function buildMediaContent(media, { caption, asDocument, asVoiceNote }) {
+    const { buffer, mimetype, fileName } = media;
 
-            sockets.delete(sessionName);
-            qrCodes.delete(sessionName);
-            sessionChats.delete(sessionName); // Clear chats on disconnect
+    if (asVoiceNote) {
+        // Only ogg/opus input gets here (see isVoiceNoteMimetype)
+        return { audio: buffer, mimetype: mimetype.startsWith('audio/ogg') ? mimetype : 'audio/ogg; codecs=opus', ptt: true };
+    }
 
-            if (shouldReconnect) {
-                logger.info(`Reconnecting session ${sessionName} in 3 seconds...`);
-                setTimeout(() => startSocket(sessionName), 3000);
-            } else {
-                logger.info(`Session ${sessionName} logged out (not reconnecting)`);
-            }
-        } else if (connection === 'open') {
-            logger.info(`✓ Session ${sessionName} connected successfully`);
-            logger.info(`User ID: ${sock.user?.id || 'N/A'}`);
-            logger.info(`Phone number: ${sock.user?.id?.split(':')[0] || 'N/A'}`);
+    if (!asDocument) {
+        if (mimetype.startsWith('image/')) {
+            return { image: buffer, mimetype, caption };
+        }
+        if (mimetype.startsWith('video/')) {
+            return { video: buffer, mimetype, caption };
+        }
+        if (mimetype.startsWith('audio/')) {
+            return { audio: buffer, mimetype, ptt: false };
+        }
+    }
 
-            // Ensure socket is stored
-            sockets.set(sessionName, sock);
-            qrCodes.delete(sessionName); // Clear QR as we're connected
+    return {
+        document: buffer,
+        mimetype,
+        fileName: fileName || `file${Object.keys(MIME_TYPES).find(ext => MIME_TYPES[ext] === mimetype) || ''}`,
+        caption
+    };
+}
 
-            // Force save credentials one more time after connection
+// Helper function to get all API keys (loaded from disk on first use)
+function getApiKeys() {
+    if (!apiKeys) {
+        apiKeys = [];
+        if (fs.existsSync(API_KEYS_FILE)) {
             try {
-                await saveCreds();
-                logger.info(`✓ Final credentials save after connection for session: ${sessionName}`);
+                apiKeys = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf-8'));
             } catch (err) {
-                logger.error(`Error in final credentials save: ${err.message}`);
+                logger.error(`Failed to read API keys from ${API_KEYS_FILE}: ${err.message}`);
             }
         }
-    });
+    }
+    return apiKeys;
+}
 
-    // Listen for chat updates - this is how Baileys provides chats
-    sock.ev.on('chats.update', async (chats) => {
-        logger.info(`📱 Chats update event for ${sessionName}: ${chats.length} chats`);
-        if (!sessionChats.has(sessionName)) {
-            sessionChats.set(sessionName, new Map());
-        }
-        const chatMap = sessionChats.get(sessionName);
+function saveApiKeys() {
+    fs.writeFileSync(`${API_KEYS_FILE}.tmp`, JSON.stringify(getApiKeys(), null, 2), { mode: 0o600 });
+    fs.renameSync(`${API_KEYS_FILE}.tmp`, API_KEYS_FILE);
+}
 
-        for (const chat of chats) {
-            if (chat.id) {
-                chatMap.set(chat.id, chat);
-                logger.info(`  - Updated chat: ${chat.id} (${chat.name || chat.subject || 'Unknown'})`);
-            }
-        }
-    });
+// Keys are random 192-bit secrets, so a plain SHA-256 is enough to store them safely
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
 
-    // Listen for messaging history set - initial chat load
-    sock.ev.on('messaging-history.set', async (history) => {
-        logger.info(`📚 Messaging history set for ${sessionName}`);
+function generateApiKey() {
+    return `wak_${crypto.randomBytes(24).toString('base64url')}`;
+}
 
-        // Ensure chat & message stores exist
-        if (!sessionChats.has(sessionName)) {
-            sessionChats.set(sessionName, new Map());
-        }
-        if (!sessionMessages.has(sessionName)) {
-            sessionMessages.set(sessionName, new Map());
+// Helper function to resolve a bearer token to the API key it belongs to (null if invalid or revoked)
+function findApiKey(token) {
+    const hash = hashApiKey(token);
+
+    if (crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashApiKey(SECRET_TOKEN), 'hex'))) {
+        // The well-known default token stops working once real keys exist
+        if (USING_DEFAULT_TOKEN && getApiKeys().some(k => !k.revokedAt)) {
+            return null;
         }
+        return { id: 'master', name: 'SECRET_TOKEN', sessions: ['*'], scopes: ['admin'] };
+    }
 
-        const chatMap = sessionChats.get(sessionName);
-        const messageStore = sessionMessages.get(sessionName);
+    const apiKey = getApiKeys().find(k => k.hash === hash && !k.revokedAt);
+    if (!apiKey) return null;
 
-        // Store chats and extract messages from chats
-        let totalMessagesStored = 0;
-        if (history.chats) {
-            logger.info(`  - Loading ${history.chats.length} chats from history`);
-            for (const chat of history.chats) {
-                if (chat.id) {
-                    chatMap.set(chat.id, chat);
+    // Track usage, writing it to disk at most once a minute per key
+    const now = Date.now();
+    const lastSaved = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+    apiKey.lastUsedAt = new Date(now).toISOString();
+    if (now - lastSaved > 60_000) {
+        try {
+            saveApiKeys();
+        } catch (err) {
+            logger.error(`Failed to save API key usage: ${err.message}`);
+        }
+    }
 
-                    // ✅ Extract messages from chat.messages or chat.raw.messages
-                    const chatMessages = chat.messages || chat.raw?.messages || [];
-                    if (chatMessages.length > 0) {
-                        logger.info(`    - Found ${chatMessages.length} messages in chat ${chat.id}`);
+    return apiKey;
+}
 
-                        for (const msgWrapper of chatMessages) {
-                            // Handle nested structure: msgWrapper.message or just msgWrapper
-                            const msg = msgWrapper.message || msgWrapper;
+function canAccessSession(apiKey, sessionName) {
+    return apiKey.sessions.includes('*') || apiKey.sessions.includes(sessionName);
+}
 
-                            if (!msg || !msg.key) continue;
+// Helper function to describe an API key for API responses (never includes the hash)
+function toPublicApiKey(apiKey) {
+    const { hash, ...publicKey } = apiKey;
+    return publicKey;
+}
 
-                            const jid = msg.key.remoteJid || chat.id;
-                            const msgId = msg.key.id;
-                            if (!jid || !msgId) continue;
+// Helper function to validate the sessions/scopes of an API key. Returns an error message or null.
+function validateApiKeyAccess(sessions, scopes) {
+    if (!Array.isArray(sessions) || sessions.length === 0 || !sessions.every(name => name === '*' || isValidSessionName(name))) {
+        return 'sessions must be a non-empty array of session names (or ["*"] for all sessions)';
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+        return `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`;
+    }
+    return null;
+}
 
-                            if (!messageStore.has(jid)) {
-                                messageStore.set(jid, []);
-                            }
-                            const storedMessages = messageStore.get(jid);
-
-                            // avoid duplicates
-                            const exists = storedMessages.some(m => m.key?.id === msgId);
-                            if (!exists) {
-                                // Ensure messageTimestamp is a number (convert string to number)
-                                if (msg.messageTimestamp && typeof msg.messageTimestamp === 'string') {
-                                    msg.messageTimestamp = parseInt(msg.messageTimestamp, 10);
-                                }
-                                storedMessages.push(msg);
-                                totalMessagesStored++;
-                                logger.debug(`      - Stored message ${msgId} for chat ${jid}`);
-                                // Keep only last 100 messages per chat to avoid memory issues
-                                if (storedMessages.length > 100) {
-                                    storedMessages.shift();
-                                }
-                            } else {
-                                logger.debug(`      - Skipped duplicate message ${msgId} for chat ${jid}`);
-                            }
-                        }
-                    }
-                }
-            }
-        }
+// Helper function to record which API key created a resource
+function getRequester(req) {
+    return req.apiKey ? { keyId: req.apiKey.id, keyName: req.apiKey.name } : null;
+}
 
-        // ✅ Also check history.messages (if messages are at root level)
-        if (history.messages) {
-            logger.info(`  - Loading ${history.messages.length} messages from history.messages`);
-            for (const msg of history.messages) {
-                const jid = msg.key?.remoteJid;
-                const msgId = msg.key?.id;
-                if (!jid || !msgId) continue;
+// Helper function to check a session name is safe to use as a directory name
+function isValidSessionName(sessionName) {
+    return /^[a-zA-Z0-9_-]+$/.test(sessionName);
+}
 
-                if (!messageStore.has(jid)) {
-                    messageStore.set(jid, []);
-                }
-                const chatMessages = messageStore.get(jid);
+// Group notification stubs (messageStubType) -> display text. Participant stubs carry JSON participants.
+const GROUP_NOTIFICATION_TEXTS = {
+    GROUP_CREATE: (params) => `Group "${params[0] || ''}" created`,
+    GROUP_CHANGE_SUBJECT: (params) => `Subject changed to "${params[0] || ''}"`,
+    GROUP_CHANGE_DESCRIPTION: () => 'Group description changed',
+    GROUP_CHANGE_ICON: () => 'Group icon changed',
+    GROUP_CHANGE_INVITE_LINK: () => 'Invite link reset',
+    GROUP_CHANGE_ANNOUNCE: (params) => params[0] === 'on' ? 'Only admins can send messages' : 'All participants can send messages',
+    GROUP_CHANGE_RESTRICT: (params) => params[0] === 'on' ? 'Only admins can edit group info' : 'All participants can edit group info',
+    GROUP_PARTICIPANT_ADD: (params) => `Added ${params.join(', ')}`,
+    GROUP_PARTICIPANT_REMOVE: (params) => `Removed ${params.join(', ')}`,
+    GROUP_PARTICIPANT_LEAVE: (params) => `${params.join(', ')} left`,
+    GROUP_PARTICIPANT_PROMOTE: (params) => `${params.join(', ')} promoted to admin`,
+    GROUP_PARTICIPANT_DEMOTE: (params) => `${params.join(', ')} demoted from admin`,
+    GROUP_PARTICIPANT_INVITE: (params) => `${params.join(', ')} joined via invite link`,
+    GROUP_PARTICIPANT_ACCEPT: (params) => `${params.join(', ')} joined`,
+    GROUP_MEMBERSHIP_JOIN_APPROVAL_REQUEST: (params) => `${params.join(', ')} requested to join`,
+    GROUP_DELETE: () => 'Group deleted'
+};
 
-                // avoid duplicates
-                const exists = chatMessages.some(m => m.key?.id === msgId);
-                if (!exists) {
-                    chatMessages.push(msg);
-                    totalMessagesStored++;
-                    // Keep only last 100 messages per chat to avoid memory issues
-                    if (chatMessages.length > 100) {
-                        chatMessages.shift();
-                    }
-                }
-            }
+// Helper function to read a group notification parameter (a JSON participant, or a plain string)
+function parseStubParameter(param) {
+    try {
+        const participant = JSON.parse(param);
+        if (participant && typeof participant === 'object') {
+            return participant.phoneNumber || participant.id || param;
         }
+    } catch (e) {
+        // Not JSON - subjects, on/off flags etc.
+    }
+    return param;
+}
 
-        if (totalMessagesStored > 0) {
-            logger.info(`  ✓ Stored ${totalMessagesStored} messages from history (from chats + root messages)`);
+// Helper function to get the message type and a display text for a stored message.
+// Ephemeral, view once, document with caption and edit wrappers are unwrapped first.
+function getMessageTypeAndText(msg) {
+    if (msg.deletedAt) {
+        return { type: 'deleted', text: '[Message deleted]' };
+    }
+
+    const content = normalizeMessageContent(msg.message);
+    if (!content) {
+        // System messages (group changes etc.) have no content, only a stub type
+        const stubName = msg.messageStubType ? WAMessageStubType[msg.messageStubType] : null;
+        if (stubName && GROUP_NOTIFICATION_TEXTS[stubName]) {
+            const params = (msg.messageStubParameters || []).map(parseStubParameter);
+            return { type: 'group_notification', text: GROUP_NOTIFICATION_TEXTS[stubName](params) };
+        } else if (stubName) {
+            return { type: stubName.startsWith('GROUP_') ? 'group_notification' : 'notification', text: `[${stubName}]` };
         }
-    });
+        return { type: 'unknown', text: '' };
+    }
 
-    // Store messages as they come in (according to Baileys docs)
-    if (!sessionMessages.has(sessionName)) {
-        sessionMessages.set(sessionName, new Map()); // jid -> messages array
+    const protocolMessage = content.protocolMessage;
+    if (content.reactionMessage) {
+        return { type: 'reaction', text: content.reactionMessage.text || '' };
+    } else if (protocolMessage?.type === proto.Message.ProtocolMessage.Type.REVOKE) {
+        return { type: 'revoke', text: '' };
+    } else if (protocolMessage?.type === proto.Message.ProtocolMessage.Type.MESSAGE_EDIT) {
+        const editable = getEditableText({ message: protocolMessage.editedMessage });
+        return { type: 'edit', text: editable ? editable.holder[editable.field] || '' : '' };
+    } else if (protocolMessage) {
+        return { type: 'protocol', text: '' };
+    } else if (typeof content.conversation === 'string' && content.conversation) {
+        return { type: 'text', text: content.conversation };
+    } else if (content.extendedTextMessage?.text) {
+        return { type: 'text', text: content.extendedTextMessage.text };
+    } else if (content.imageMessage) {
+        return { type: 'image', text: content.imageMessage.caption || '[Image]' };
+    } else if (content.videoMessage) {
+        return { type: 'video', text: content.videoMessage.caption || (content.videoMessage.gifPlayback ? '[GIF]' : '[Video]') };
+    } else if (content.audioMessage) {
+        return { type: 'audio', text: content.audioMessage.ptt ? '[Voice note]' : '[Audio]' };
+    } else if (content.documentMessage) {
+        return { type: 'document', text: content.documentMessage.caption || ('[Document] ' + (content.documentMessage.fileName || '')) };
+    } else if (content.stickerMessage) {
+        return { type: 'sticker', text: '[Sticker]' };
+    } else if (content.locationMessage) {
+        const { name, address } = content.locationMessage;
+        return { type: 'location', text: '[Location]' + (name || address ? ` ${[name, address].filter(Boolean).join(', ')}` : '') };
+    } else if (content.liveLocationMessage) {
+        return { type: 'live_location', text: content.liveLocationMessage.caption || '[Live location]' };
+    } else if (content.contactMessage) {
+        return { type: 'contact', text: '[Contact] ' + (content.contactMessage.displayName || '') };
+    } else if (content.contactsArrayMessage) {
+        const count = content.contactsArrayMessage.contacts?.length || 0;
+        return { type: 'contacts', text: `[Contacts] ${content.contactsArrayMessage.displayName || `${count} contacts`}` };
+    } else if (content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3) {
+        const poll = content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3;
+        return { type: 'poll', text: '[Poll] ' + (poll.name || '') };
+    } else if (content.pollUpdateMessage) {
+        return { type: 'poll_vote', text: '[Poll vote]' };
+    } else if (content.buttonsResponseMessage) {
+        return { type: 'button_response', text: content.buttonsResponseMessage.selectedDisplayText || content.buttonsResponseMessage.selectedButtonId || '' };
+    } else if (content.templateButtonReplyMessage) {
+        return { type: 'button_response', text: content.templateButtonReplyMessage.selectedDisplayText || content.templateButtonReplyMessage.selectedId || '' };
+    } else if (content.listResponseMessage) {
+        return { type: 'list_response', text: content.listResponseMessage.title || content.listResponseMessage.singleSelectReply?.selectedRowId || '' };
+    } else if (content.interactiveResponseMessage) {
+        return { type: 'interactive_response', text: content.interactiveResponseMessage.body?.text || '' };
+    } else if (content.buttonsMessage) {
+        return { type: 'buttons', text: content.buttonsMessage.contentText || '' };
+    } else if (content.listMessage) {
+        return { type: 'list', text: content.listMessage.description || content.listMessage.title || '' };
+    } else if (content.templateMessage) {
+        const template = content.templateMessage.hydratedTemplate || content.templateMessage.hydratedFourRowTemplate;
+        return { type: 'template', text: template?.hydratedContentText || '' };
+    } else if (content.interactiveMessage) {
+        return { type: 'interactive', text: content.interactiveMessage.body?.text || '' };
     }
-    const messageStore = sessionMessages.get(sessionName);
+    return { type: 'unknown', text: '' };
+}
 
-    sock.ev.on('messages.upsert', async (m) => {
-        const { messages, type } = m;
+// Helper function to get the structured details of a message: wrappers (view once, ephemeral), forwarding,
+// the quoted message, mentions and type specific data (location, contacts, poll, selected button/row)
+function getMessageDetails(msg) {
+    const message = msg.message || {};
+    const content = normalizeMessageContent(msg.message) || {};
+    const contentType = getContentType(content);
+    const inner = contentType ? content[contentType] : null;
+    const contextInfo = (inner && typeof inner === 'object' && inner.contextInfo) || null;
+
+    const viewOnce = !!(message.viewOnceMessage || message.viewOnceMessageV2 || message.viewOnceMessageV2Extension ||
+        message.ephemeralMessage?.message?.viewOnceMessage || message.ephemeralMessage?.message?.viewOnceMessageV2 ||
+        inner?.viewOnce);
+
+    let quoted = null;
+    if (contextInfo?.stanzaId) {
+        const quotedMessage = contextInfo.quotedMessage ? { message: contextInfo.quotedMessage } : null;
+        const { type, text } = quotedMessage ? getMessageTypeAndText(quotedMessage) : { type: 'unknown', text: '' };
+        quoted = {
+            id: contextInfo.stanzaId,
+            chatJid: contextInfo.remoteJid || msg.key?.remoteJid || null,
+            participant: contextInfo.participant || null,
+            type,
+            text
+        };
+    }
 
-        if (!messages || messages.length === 0) return;
+    let data = null;
+    if (content.locationMessage || content.liveLocationMessage) {
+        const location = content.locationMessage || content.liveLocationMessage;
+        data = {
+            latitude: location.degreesLatitude,
+            longitude: location.degreesLongitude,
+            name: location.name || null,
+            address: location.address || null,
+            url: location.url || null,
+            accuracyMeters: location.accuracyInMeters || null
+        };
+    } else if (content.contactMessage) {
+        data = { contacts: [{ displayName: content.contactMessage.displayName || null, vcard: content.contactMessage.vcard || null }] };
+    } else if (content.contactsArrayMessage) {
+        data = { contacts: (content.contactsArrayMessage.contacts || []).map(c => ({ displayName: c.displayName || null, vcard: c.vcard || null })) };
+    } else if (content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3) {
+        const results = getPollResults(msg);
+        data = {
+            name: results.name,
+            options: results.options.map(o => o.name),
+            selectableCount: results.selectableCount,
+            results: results.options,
+            totalVoters: results.totalVoters
+        };
+    } else if (content.buttonsResponseMessage) {
+        data = { selectedId: content.buttonsResponseMessage.selectedButtonId || null, selectedText: content.buttonsResponseMessage.selectedDisplayText || null };
+    } else if (content.templateButtonReplyMessage) {
+        data = { selectedId: content.templateButtonReplyMessage.selectedId || null, selectedText: content.templateButtonReplyMessage.selectedDisplayText || null };
+    } else if (content.listResponseMessage) {
+        data = {
+            selectedId: content.listResponseMessage.singleSelectReply?.selectedRowId || null,
+            selectedText: content.listResponseMessage.title || null,
+            description: content.listResponseMessage.description || null
+        };
+    } else if (content.interactiveResponseMessage) {
+        let params = null;
+        try {
+            params = JSON.parse(content.interactiveResponseMessage.nativeFlowResponseMessage?.paramsJson || 'null');
+        } catch (e) {
+            params = content.interactiveResponseMessage.nativeFlowResponseMessage?.paramsJson || null;
+        }
+        data = { selectedText: content.interactiveResponseMessage.body?.text || null, params };
+    } else if (!msg.message && msg.messageStubType) {
+        data = {
+            stubType: WAMessageStubType[msg.messageStubType] || msg.messageStubType,
+            parameters: (msg.messageStubParameters || []).map(parseStubParameter),
+            author: msg.participant || msg.key?.participant || null
+        };
+    }
 
-        logger.info(`📨 Received ${messages.length} message(s) via messages.upsert (type: ${type})`);
+    return {
+        viewOnce,
+        ephemeral: !!message.ephemeralMessage || !!contextInfo?.expiration,
+        ephemeralExpiration: contextInfo?.expiration || null,
+        forwarded: !!contextInfo?.isForwarded,
+        forwardingScore: contextInfo?.forwardingScore || 0,
+        quoted,
+        mentions: contextInfo?.mentionedJid || [],
+        data
+    };
+}
 
-        for (const message of messages) {
-            // Store message by chat JID
-            if (message.key && message.key.remoteJid) {
-                const chatId = message.key.remoteJid;
+// Helper function to convert a Baileys timestamp (seconds, number/string/Long) to an ISO string
+function toIsoTimestamp(value) {
+    const ts = Number(value);
+    return !isNaN(ts) && ts > 0 ? new Date(ts * 1000).toISOString() : null;
+}
 
-                // Initialize message array for this chat if needed
-                if (!messageStore.has(chatId)) {
-                    messageStore.set(chatId, []);
-                }
+// Helper function to read a JSON file from the session directory (returns fallback if missing/corrupt)
+function readSessionJson(sessionName, fileName, fallback) {
+    const filePath = path.join(getSessionDir(sessionName), fileName);
+    if (!fs.existsSync(filePath)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+        logger.error(`Failed to read ${fileName} for session ${sessionName}: ${err.message}`);
+        return fallback;
+    }
+}
 
-                const chatMessages = messageStore.get(chatId);
+// Helper function to write a JSON file to the session directory (write + rename so a crash can't truncate it)
+function writeSessionJson(sessionName, fileName, data) {
+    const filePath = path.join(getSessionDir(sessionName), fileName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+}
 
-                // Check if message already exists (avoid duplicates)
-                const messageId = message.key.id;
-                const exists = chatMessages.some(m => m.key?.id === messageId);
+// Helper function to get the group metadata cache of a session
+function getGroupCache(sessionName) {
+    if (!sessionGroupMetadata.has(sessionName)) {
+        sessionGroupMetadata.set(sessionName, new Map());
+    }
+    return sessionGroupMetadata.get(sessionName);
+}
 
-                if (!exists) {
-                    chatMessages.push(message);
-                    // Keep only last 100 messages per chat to avoid memory issues
-                    if (chatMessages.length > 100) {
-                        chatMessages.shift(); // Remove oldest
-                    }
-                    logger.debug(`  - Stored message ${messageId} for chat ${chatId}`);
-                }
+// Helper function to get the metadata of a group - from the cache while it's fresh, otherwise from WhatsApp
+async function getGroupMetadata(sessionName, sock, groupJid, { refresh = false } = {}) {
+    const cache = getGroupCache(sessionName);
+    const cached = cache.get(groupJid);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < GROUP_METADATA_TTL_MS) {
+        return cached.metadata;
+    }
 
-                // Also capture chat info from messages
-                if (!sessionChats.has(sessionName)) {
-                    sessionChats.set(sessionName, new Map());
-                }
-                const chatMap = sessionChats.get(sessionName);
+    const metadata = await withGroupTimeout(sock.groupMetadata(groupJid), 'groupMetadata');
+    cache.set(groupJid, { metadata, fetchedAt: Date.now() });
+    return metadata;
+}
 
-                // If chat doesn't exist, create a basic entry
-                if (!chatMap.has(chatId)) {
-                    chatMap.set(chatId, {
-                        id: chatId,
-                        name: chatId.split('@')[0],
-                        conversationTimestamp: message.messageTimestamp
-                    });
-                }
-            }
+// Helper function to check whether a group participant entry matches a JID (by id, phone number or LID)
+function isSameParticipant(participant, jid) {
+    const normalized = jidNormalizedUser(typeof jid === 'string' ? jid : jid.id);
+    return [participant.id, participant.phoneNumber, participant.lid]
+        .some(id => id && jidNormalizedUser(id) === normalized);
+}
 
-            // Capture real phone numbers from messages (senderPn workaround)
-            if (message.key && message.key.senderPn) {
-                const senderId = message.key.remoteJid;
-                const realPhone = message.key.senderPn;
-                logger.debug(`Received message from ${senderId} with real phone: ${realPhone}`);
+// Apply a group-participants.update event to the cached metadata of the group
+function applyGroupParticipantsUpdate(sessionName, { id, participants, action }) {
+    const cached = getGroupCache(sessionName).get(id);
+    if (!cached) return;
+    const metadata = cached.metadata;
+    const changed = participants.map(p => typeof p === 'string' ? { id: p } : p);
+
+    if (action === 'add') {
+        for (const participant of changed) {
+            if (!metadata.participants.some(p => isSameParticipant(p, participant.id))) {
+                metadata.participants.push({ id: participant.id, phoneNumber: participant.phoneNumber, lid: participant.lid, admin: null });
             }
         }
-    });
-
-    // Track message delivery status
-    sock.ev.on('messages.update', async (updates) => {
-        for (const update of updates) {
-            if (update.update && update.update.status) {
-                const status = update.update.status;
-                const key = update.key;
-
-                if (key && key.remoteJid) {
-                    const jid = key.remoteJid;
-                    const messageId = key.id;
-
-                    // Log delivery status
-                    const statusMap = {
-                        1: 'PENDING',
-                        2: 'SERVER_ACK (sent to WhatsApp server)',
-                        3: 'DELIVERY_ACK (delivered to recipient)',
-                        4: 'READ (read by recipient)'
-                    };
-
-                    const statusText = statusMap[status] || `UNKNOWN (${status})`;
-                    logger.info(`📨 Message ${messageId} to ${jid} - Status: ${statusText}`);
-
-                    // If delivered, log success
-                    if (status === 3) {
-                        logger.info(`✅ Message ${messageId} successfully delivered to ${jid}`);
-                    } else if (status === 4) {
-                        logger.info(`✅✅ Message ${messageId} read by ${jid}`);
-                    }
-                }
-            }
+    } else if (action === 'remove') {
+        // We left or were removed - the group is no longer ours to cache
+        const ownJid = sockets.get(sessionName)?.user?.id;
+        if (ownJid && changed.some(p => isSameParticipant(p, ownJid))) {
+            getGroupCache(sessionName).delete(id);
+            return;
         }
-    });
-
-    // Track message delivery status
-    sock.ev.on('messages.update', async (updates) => {
-        for (const update of updates) {
-            if (update.update) {
-                const status = update.update.status;
-                const key = update.key;
-
-                if (key && status) {
-                    const jid = key.remoteJid;
-                    const messageId = key.id;
-
-                    // Log delivery status
-                    if (status === 1) {
-                        logger.info(`Message ${messageId} to ${jid} - PENDING`);
-                    } else if (status === 2) {
-                        logger.info(`Message ${messageId} to ${jid} - SERVER_ACK (sent to WhatsApp server)`);
-                    } else if (status === 3) {
-                        logger.info(`Message ${messageId} to ${jid} - DELIVERY_ACK (delivered to recipient)`);
-                    } else if (status === 4) {
-                        logger.info(`Message ${messageId} to ${jid} - READ (read by recipient)`);
-                    }
-                }
+        metadata.participants = metadata.participants.filter(p => !changed.some(c => isSameParticipant(p, c.id)));
+    } else if (action === 'promote' || action === 'demote') {
+        for (const participant of metadata.participants) {
+            if (changed.some(c => isSameParticipant(participant, c.id))) {
+                participant.admin = action === 'promote' ? 'admin' : null;
             }
         }
-    });
-
-    return sock;
+    } else {
+        // Number changes etc. - refetch on next use
+        cached.fetchedAt = 0;
+        return;
+    }
+    metadata.size = metadata.participants.length;
 }
 
-// API Routes
+// Helper function to get the participant event log of a session (loaded from disk on first use)
+function getGroupEvents(sessionName) {
+    if (!sessionGroupEvents.has(sessionName)) {
+        sessionGroupEvents.set(sessionName, readSessionJson(sessionName, 'group_events.json', {}));
+    }
+    return sessionGroupEvents.get(sessionName);
+}
 
-// Start a new session
-app.post('/api/:session/start-session', async (req, res) => {
-    const sessionName = req.params.session;
-    const forceNew = req.query.force === 'true' || req.body.force === true;
+// Add a participant change (add, remove, promote, demote, modify) to the log of its group
+function recordGroupEvent(sessionName, { id, author, participants, action }) {
+    const events = getGroupEvents(sessionName);
+    if (!events[id]) {
+        events[id] = [];
+    }
+    events[id].push({
+        at: new Date().toISOString(),
+        action,
+        author: author || null,
+        participants: participants.map(p => typeof p === 'string'
+            ? { id: p, phoneNumber: null }
+            : { id: p.id, phoneNumber: p.phoneNumber || null })
+    });
+    if (events[id].length > GROUP_EVENT_LOG_LIMIT) {
+        events[id].splice(0, events[id].length - GROUP_EVENT_LOG_LIMIT);
+    }
+    writeSessionJson(sessionName, 'group_events.json', events);
+}
 
-    // Validate session name
-    if (!/^[a-zA-Z0-9_-]+$/.test(sessionName)) {
-        return res.status(400).json({ error: 'Invalid session name' });
+// Helper function to get the webhooks registered for a session (loaded from disk on first use)
+function getWebhooks(sessionName) {
+    if (!sessionWebhooks.has(sessionName)) {
+        sessionWebhooks.set(sessionName, readSessionJson(sessionName, 'webhooks.json', []));
     }
+    return sessionWebhooks.get(sessionName);
+}
 
-    try {
-        // If socket already exists and is connected, return success
-        const existingSock = sockets.get(sessionName);
-        if (existingSock && existingSock.user && !forceNew) {
-            return res.json({ success: true, message: 'Session already connected' });
-        }
+function saveWebhooks(sessionName) {
+    writeSessionJson(sessionName, 'webhooks.json', getWebhooks(sessionName));
+}
 
-        // Start new socket (will generate QR if needed)
-        logger.info(`Starting new session: ${sessionName} (forceNew: ${forceNew})`);
-        await startSocket(sessionName, forceNew);
+// Hide most of a webhook secret in API responses
+function maskWebhook(webhook) {
+    return { ...webhook, secret: webhook.secret ? webhook.secret.substring(0, 4) + '...' : null };
+}
 
-        // Give it a moment to initialize and potentially generate QR
-        await new Promise(resolve => setTimeout(resolve, 2000));
+// Helper function to build a normalized webhook payload for a stored message
+function toWebhookMessage(msg) {
+    const { type, text } = getMessageTypeAndText(msg);
+    return {
+        id: msg.key?.id,
+        chatJid: msg.key?.remoteJid,
+        fromMe: msg.key?.fromMe || false,
+        sender: msg.key?.fromMe ? null : (msg.key?.participant || msg.key?.remoteJid),
+        senderPn: msg.key?.senderPn || null,
+        pushName: msg.pushName || null,
+        type,
+        text,
+        timestamp: toIsoTimestamp(msg.messageTimestamp),
+        ...getMessageDetails(msg)
+    };
+}
 
-        res.json({ success: true, message: 'Session started. QR code will be available shortly.' });
-    } catch (error) {
-        logger.error('Error starting session:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+// Send an event to every webhook of the session subscribed to it
+function emitWebhookEvent(sessionName, event, data) {
+    const webhooks = getWebhooks(sessionName).filter(w =>
+        w.enabled !== false && (w.events.includes('*') || w.events.includes(event))
+    );
+    if (webhooks.length === 0) return;
+
+    const payload = {
+        id: crypto.randomUUID(),
+        event,
+        session: sessionName,
+        timestamp: new Date().toISOString(),
+        data
+    };
 
-// Get QR code
-app.get('/api/:session/qrcode-session', async (req, res) => {
-    const sessionName = req.params.session;
-    const forceNew = req.query.force === 'true';
+    for (const webhook of webhooks) {
+        deliverWebhook(sessionName, webhook, payload, 1);
+    }
+}
 
-    // Check if already connected
-    const existingSock = sockets.get(sessionName);
-    if (existingSock && existingSock.user && !forceNew) {
-        return res.json({ qrcode: null, connected: true, message: 'Session already connected' });
+// Helper function to get (or create) the event stream of a session
+function getSessionStream(sessionName) {
+    if (!sessionStreams.has(sessionName)) {
+        sessionStreams.set(sessionName, { lastSeq: 0, buffer: [], clients: new Set() });
     }
+    return sessionStreams.get(sessionName);
+}
 
-    // Check if there's an existing auth state (no QR needed unless forced)
-    const sessionDir = getSessionDir(sessionName);
-    const credsPath = path.join(sessionDir, 'creds.json');
-    if (fs.existsSync(credsPath) && !forceNew) {
-        return res.json({
-            qrcode: null,
-            message: 'Session has existing credentials. Use ?force=true to generate new QR code.',
-            needsForce: true
-        });
+// Helper function to write one event in SSE format (events without an id don't move the client's Last-Event-ID)
+function writeStreamEvent(res, entry) {
+    let chunk = '';
+    if (entry.id) chunk += `id: ${entry.id}\n`;
+    chunk += `event: ${entry.event}\n`;
+    chunk += `data: ${JSON.stringify({ session: entry.session, timestamp: entry.timestamp, data: entry.data })}\n\n`;
+    res.write(chunk);
+}
+
+// Helper function to check if a stream client gets an event: its ?events filter, and QR codes only for admin keys
+// (a QR code can link the session to any WhatsApp account, like qrcode-session)
+function isStreamEventWanted(client, event) {
+    if (event === 'qr' && !client.canSeeQr) return false;
+    return !client.events || client.events.includes(event);
+}
+
+// Push an event to the connected stream clients of a session and keep it for resuming
+function publishStreamEvent(sessionName, event, data) {
+    const stream = getSessionStream(sessionName);
+    stream.lastSeq++;
+    const entry = {
+        id: `${STREAM_EPOCH}-${stream.lastSeq}`,
+        seq: stream.lastSeq,
+        event,
+        session: sessionName,
+        timestamp: new Date().toISOString(),
+        data
+    };
+
+    stream.buffer.push(entry);
+    if (stream.buffer.length > STREAM_BUFFER_SIZE) {
+        stream.buffer.splice(0, stream.buffer.length - STREAM_BUFFER_SIZE);
     }
 
-    // If socket doesn't exist or forcing new, start it
-    if (forceNew || !sockets.has(sessionName)) {
+    for (const client of stream.clients) {
+        if (!isStreamEventWanted(client, event)) continue;
         try {
-            logger.info(`Starting socket for QR code generation: ${sessionName} (forceNew: ${forceNew})`);
+            writeStreamEvent(client.res, entry);
+        } catch (err) {
+            logger.warn(`Event stream write failed for ${sessionName}: ${err.message}`);
+        }
+    }
+}
+
+// Helper function to find the buffered events after a Last-Event-ID.
+// Returns null when they can't be replayed (other epoch, or already dropped from the buffer).
+function getStreamEventsAfter(sessionName, lastEventId) {
+    const stream = getSessionStream(sessionName);
+    const match = /^([a-z0-9]+)-(\d+)$/.exec(lastEventId);
+    if (!match || match[1] !== STREAM_EPOCH) return null;
+
+    const lastSeq = parseInt(match[2]);
+    if (lastSeq > stream.lastSeq) return null;
+    const oldestSeq = stream.buffer.length > 0 ? stream.buffer[0].seq : stream.lastSeq + 1;
+    if (lastSeq < oldestSeq - 1) return null;
+
+    return stream.buffer.filter(entry => entry.seq > lastSeq);
+}
+
+// Helper function to append failed deliveries to the dead-letter list of a session
+function addWebhookDeadLetters(sessionName, entries) {
+    try {
+        const deadLetters = readSessionJson(sessionName, 'webhook_dead_letters.json', []);
+        deadLetters.push(...entries);
+        writeSessionJson(sessionName, 'webhook_dead_letters.json', deadLetters.slice(-WEBHOOK_DEAD_LETTER_LIMIT));
+    } catch (err) {
+        logger.error(`Failed to store webhook dead letter: ${err.message}`);
+    }
+}
+
+// Helper function to record (entry) or clear (null) a delivery waiting for its retry timer
+function setPendingWebhookRetry(sessionName, key, entry) {
+    if (!pendingWebhookRetries.has(sessionName)) {
+        pendingWebhookRetries.set(sessionName, new Map());
+    }
+    const pending = pendingWebhookRetries.get(sessionName);
+    if (entry) {
+        pending.set(key, entry);
+    } else {
+        pending.delete(key);
+    }
+    try {
+        writeSessionJson(sessionName, 'webhook_retries.json', Array.from(pending.values()));
+    } catch (err) {
+        logger.error(`Failed to save pending webhook retries for ${sessionName}: ${err.message}`);
+    }
+}
+
+// Retry timers don't survive a restart: move deliveries that were still waiting for one to the dead letters
+// (they can be replayed from there)
+function deadLetterInterruptedWebhookRetries() {
+    if (!fs.existsSync(SESSIONS_DIR)) return;
+    for (const entry of fs.readdirSync(SESSIONS_DIR, { withFileTypes: true })) {
+        if (!entry.isDirectory() || !isValidSessionName(entry.name)) continue;
+
+        const interrupted = readSessionJson(entry.name, 'webhook_retries.json', []);
+        if (interrupted.length === 0) continue;
+
+        addWebhookDeadLetters(entry.name, interrupted.map(retry => ({
+            id: retry.payload.id,
+            webhookId: retry.webhookId,
+            url: retry.url,
+            attempts: retry.attempts,
+            lastError: `${retry.lastError} (server restarted before the next retry)`,
+            failedAt: new Date().toISOString(),
+            payload: retry.payload
+        })));
+        writeSessionJson(entry.name, 'webhook_retries.json', []);
+        logger.warn(`Moved ${interrupted.length} interrupted webhook deliveries of ${entry.name} to dead letters`);
+    }
+}
+
+// POST a payload to a webhook, signed with HMAC-SHA256 of the raw body using the webhook secret.
+// Failed deliveries are retried with exponential backoff, then moved to the dead-letter list.
+async function deliverWebhook(sessionName, webhook, payload, attempt) {
+    const body = JSON.stringify(payload);
+    let lastError;
+
+    try {
+        const signature = crypto.createHmac('sha256', webhook.secret).update(body).digest('hex');
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Event': payload.event,
+                'X-Webhook-Delivery': payload.id,
+                'X-Webhook-Signature': `sha256=${signature}`
+            },
+            body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+
+        if (response.ok) {
+            logger.debug(`Webhook ${webhook.id} delivered ${payload.event} (${payload.id})`);
+            return;
+        }
+        lastError = `HTTP ${response.status}`;
+    } catch (err) {
+        lastError = err.message;
+    }
+
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+        const delay = WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempt - 1);
+        const retryKey = `${payload.id}:${webhook.id}`;
+        logger.warn(`Webhook ${webhook.id} delivery of ${payload.event} failed (${lastError}), retry ${attempt}/${WEBHOOK_MAX_ATTEMPTS - 1} in ${delay}ms`);
+        setPendingWebhookRetry(sessionName, retryKey, {
+            webhookId: webhook.id,
+            url: webhook.url,
+            attempts: attempt,
+            lastError,
+            retryAt: new Date(Date.now() + delay).toISOString(),
+            payload
+        });
+        setTimeout(() => {
+            // Closing the session drops its pending retries (and its files)
+            if (!pendingWebhookRetries.get(sessionName)?.has(retryKey)) return;
+            setPendingWebhookRetry(sessionName, retryKey, null);
+
+            // Retry with the current registration - the webhook may have been removed or disabled meanwhile
+            const current = getWebhooks(sessionName).find(w => w.id === webhook.id);
+            if (!current || current.enabled === false) {
+                logger.info(`Webhook ${webhook.id} was removed or disabled, dropping the retry of ${payload.event} (${payload.id})`);
+                return;
+            }
+            deliverWebhook(sessionName, current, payload, attempt + 1);
+        }, delay);
+        return;
+    }
+
+    logger.error(`Webhook ${webhook.id} delivery of ${payload.event} failed after ${attempt} attempts (${lastError}), moved to dead letters`);
+    addWebhookDeadLetters(sessionName, [{
+        id: payload.id,
+        webhookId: webhook.id,
+        url: webhook.url,
+        attempts: attempt,
+        lastError,
+        failedAt: new Date().toISOString(),
+        payload
+    }]);
+}
+
+// Helper function to extract a message timestamp (seconds) from the different formats Baileys uses
+function getMessageTimestamp(msg) {
+    if (!msg) return 0;
+    // Check top-level messageTimestamp (standard Baileys)
+    if (msg.messageTimestamp) {
+        return Number(msg.messageTimestamp) || 0;
+    }
+    // Check timestamp (custom or legacy)
+    if (msg.timestamp) {
+        return Number(msg.timestamp) || 0;
+    }
+    // Check nested in message (rare but possible)
+    if (msg.message && msg.message.messageTimestamp) {
+        return Number(msg.message.messageTimestamp) || 0;
+    }
+    return 0;
+}
+
+// Helper function to get the on-disk message log for a chat (one JSON line per stored or updated message)
+function getMessageLogPath(sessionName, jid) {
+    return path.join(getSessionDir(sessionName), 'messages', `${encodeURIComponent(jid)}.jsonl`);
+}
+
+// Helper function to get the message store for a session (jid -> messages array), loading it from disk on first use
+function getMessageStore(sessionName) {
+    if (!sessionMessages.has(sessionName)) {
+        loadMessageStore(sessionName);
+    }
+    return sessionMessages.get(sessionName);
+}
+
+// Load all chat logs of a session. Later lines for the same message ID are updates and replace earlier ones.
+function loadMessageStore(sessionName) {
+    const messageStore = new Map();
+    const index = new Map();
+    const messagesDir = path.join(getSessionDir(sessionName), 'messages');
+    let totalMessages = 0;
+
+    if (fs.existsSync(messagesDir)) {
+        for (const file of fs.readdirSync(messagesDir)) {
+            if (!file.endsWith('.jsonl')) continue;
+
+            const jid = decodeURIComponent(file.slice(0, -'.jsonl'.length));
+            const byId = new Map();
+            let lineCount = 0;
+
+            try {
+                const lines = fs.readFileSync(path.join(messagesDir, file), 'utf-8').split('\n');
+                for (const line of lines) {
+                    if (!line.trim()) continue;
+                    lineCount++;
+                    try {
+                        const msg = JSON.parse(line, BufferJSON.reviver);
+                        if (msg?.key?.id) {
+                            byId.set(msg.key.id, msg);
+                        }
+                    } catch (e) {
+                        // Truncated line from a crash mid-write - skip it
+                    }
+                }
+            } catch (err) {
+                logger.error(`Failed to read message log ${file} for session ${sessionName}: ${err.message}`);
+                continue;
+            }
+
+            const chatMessages = Array.from(byId.values())
+                .sort((a, b) => getMessageTimestamp(a) - getMessageTimestamp(b));
+            messageStore.set(jid, chatMessages);
+            for (const msg of chatMessages) {
+                index.set(msg.key.id, msg);
+            }
+            totalMessages += chatMessages.length;
+
+            // Compact logs that are mostly superseded updates
+            if (lineCount > chatMessages.length * 2) {
+                rewriteMessageLog(sessionName, jid, chatMessages);
+            }
+        }
+    }
+
+    sessionMessages.set(sessionName, messageStore);
+    sessionMessageIndex.set(sessionName, index);
+    if (totalMessages > 0) {
+        logger.info(`📚 Loaded ${totalMessages} stored messages in ${messageStore.size} chats for session ${sessionName}`);
+    }
+    return messageStore;
+}
+
+// Replace a chat log with exactly one line per message
+function rewriteMessageLog(sessionName, jid, chatMessages) {
+    const logPath = getMessageLogPath(sessionName, jid);
+    try {
+        const lines = chatMessages.map(msg => JSON.stringify(msg, BufferJSON.replacer));
+        fs.writeFileSync(`${logPath}.tmp`, lines.join('\n') + '\n');
+        fs.renameSync(`${logPath}.tmp`, logPath);
+    } catch (err) {
+        logger.error(`Failed to compact message log for ${jid}: ${err.message}`);
+    }
+}
+
+// Pending log lines (file path -> lines), flushed in one append per chat on the next tick.
+// History sync stores thousands of messages synchronously, so this keeps it to one write per chat.
+const pendingMessageWrites = new Map();
+let messageFlushScheduled = false;
+
+// Append the current state of a stored message to its chat log (call again after changing a stored message)
+function persistMessage(sessionName, msg) {
+    const logPath = getMessageLogPath(sessionName, msg.key.remoteJid);
+    if (!pendingMessageWrites.has(logPath)) {
+        pendingMessageWrites.set(logPath, []);
+    }
+    pendingMessageWrites.get(logPath).push(JSON.stringify(msg, BufferJSON.replacer));
+
+    if (!messageFlushScheduled) {
+        messageFlushScheduled = true;
+        setImmediate(flushMessageWrites);
+    }
+}
+
+function flushMessageWrites() {
+    messageFlushScheduled = false;
+    for (const [logPath, lines] of pendingMessageWrites.entries()) {
+        try {
+            fs.mkdirSync(path.dirname(logPath), { recursive: true });
+            fs.appendFileSync(logPath, lines.join('\n') + '\n');
+        } catch (err) {
+            logger.error(`Failed to write message log ${logPath}: ${err.message}`);
+        }
+    }
+    pendingMessageWrites.clear();
+}
+
+// Add a message to the session store and its chat log.
+// Returns false if the message is already stored, unless replace is set (then the stored copy is overwritten).
+function storeMessage(sessionName, msg, { replace = false } = {}) {
+    const jid = msg?.key?.remoteJid;
+    const messageId = msg?.key?.id;
+    if (!jid || !messageId) return false;
+
+    // Edits, deletes and reactions change the message they target instead of being stored themselves
+    if (applyMessageModification(sessionName, msg)) return false;
+
+    // Ensure messageTimestamp is a number (history sync sends strings, some versions Long objects)
+    if (msg.messageTimestamp && typeof msg.messageTimestamp !== 'number') {
+        msg.messageTimestamp = Number(msg.messageTimestamp);
+    }
+
+    const messageStore = getMessageStore(sessionName);
+    const index = sessionMessageIndex.get(sessionName);
+    if (!messageStore.has(jid)) {
+        messageStore.set(jid, []);
+    }
+    const chatMessages = messageStore.get(jid);
+
+    const existing = index.get(messageId);
+    if (existing && existing.key.remoteJid === jid) {
+        if (!replace) return false;
+        chatMessages[chatMessages.indexOf(existing)] = msg;
+    } else {
+        chatMessages.push(msg);
+    }
+
+    index.set(messageId, msg);
+    persistMessage(sessionName, msg);
+    applyPendingModifications(sessionName, msg);
+    return true;
+}
+
+// Helper function to look up a stored message by ID (optionally only within one chat)
+function findStoredMessage(sessionName, messageId, jid = null) {
+    getMessageStore(sessionName);
+    const msg = sessionMessageIndex.get(sessionName).get(messageId);
+    if (!msg || (jid && msg.key.remoteJid !== jid)) return null;
+    return msg;
+}
+
+// Drop the in-memory store of a session, chats and their unread state included (its files are removed by the caller)
+function clearMessageStore(sessionName) {
+    sessionChats.delete(sessionName);
+    sessionMessages.delete(sessionName);
+    sessionMessageIndex.delete(sessionName);
+    pendingMessageModifications.delete(sessionName);
+    const sessionDir = getSessionDir(sessionName) + path.sep;
+    for (const logPath of pendingMessageWrites.keys()) {
+        if (logPath.startsWith(sessionDir)) {
+            pendingMessageWrites.delete(logPath);
+        }
+    }
+}
+
+// Drop all stored messages of one chat (cleared or deleted chat), including its log file
+function clearChatMessages(sessionName, jid) {
+    const messageStore = getMessageStore(sessionName);
+    const index = sessionMessageIndex.get(sessionName);
+    const chatMessages = messageStore.get(jid) || [];
+    for (const msg of chatMessages) {
+        index.delete(msg.key.id);
+    }
+    messageStore.delete(jid);
+
+    const logPath = getMessageLogPath(sessionName, jid);
+    pendingMessageWrites.delete(logPath);
+    try {
+        fs.rmSync(logPath, { force: true });
+    } catch (err) {
+        logger.error(`Failed to remove message log for ${jid}: ${err.message}`);
+    }
+    return chatMessages.length;
+}
+
+// Unread tracking follows WhatsApp's model: a chat only has an unread count, and the newest `unreadCount`
+// incoming messages are the unread ones. -1 means the chat was marked as unread without a count.
+
+// Helper function to check whether a stored message counts towards a chat's unread count
+function countsTowardsUnread(msg) {
+    return shouldIncrementChatUnread(msg) && isRealMessage(msg);
+}
+
+// Helper function to get the unread state of a captured chat entry
+function getChatUnreadState(chat) {
+    const unreadCount = chat?.unreadCount ?? chat?.unread ?? 0;
+    return { unreadCount: Math.max(unreadCount, 0), markedUnread: unreadCount === -1 };
+}
+
+// IDs of the stored messages of a chat that are unread
+function getUnreadMessageIds(sessionName, jid) {
+    const { unreadCount } = getChatUnreadState(sessionChats.get(sessionName)?.get(jid));
+    const unreadIds = new Set();
+    if (unreadCount === 0) return unreadIds;
+
+    const incoming = (getMessageStore(sessionName).get(jid) || [])
+        .filter(countsTowardsUnread)
+        .sort((a, b) => getMessageTimestamp(a) - getMessageTimestamp(b));
+    for (const msg of incoming.slice(-unreadCount)) {
+        unreadIds.add(msg.key.id);
+    }
+    return unreadIds;
+}
+
+// Apply a chats.update entry to the captured chat. Baileys sends unreadCount > 0 as the number of new messages,
+// 0 when the chat was read, -1 when it was marked unread and null to leave the count alone.
+function applyChatUpdate(sessionName, update) {
+    if (!sessionChats.has(sessionName)) {
+        sessionChats.set(sessionName, new Map());
+    }
+    const chatMap = sessionChats.get(sessionName);
+    const chat = chatMap.get(update.id);
+    // conditional is Baileys' internal buffering check, not chat data
+    const { unreadCount, conditional, ...changes } = update;
+
+    // Updates are partial (e.g. only { id, archived }), so merge them into the known chat
+    const merged = { ...chat, ...changes };
+    if (typeof unreadCount === 'number') {
+        merged.unreadCount = unreadCount > 0
+            ? getChatUnreadState(chat).unreadCount + unreadCount
+            : unreadCount;
+    }
+    chatMap.set(update.id, merged);
+    return merged;
+}
+
+// Mark a chat as read up to a stored incoming message: only the incoming messages after it stay unread.
+// Read receipts from our other devices and messages read through the API end up here.
+function markChatReadUpTo(sessionName, msg) {
+    const chat = sessionChats.get(sessionName)?.get(msg.key.remoteJid);
+    if (!chat) return;
+
+    const { unreadCount } = getChatUnreadState(chat);
+    const readAt = getMessageTimestamp(msg);
+    const stillUnread = (getMessageStore(sessionName).get(msg.key.remoteJid) || [])
+        .filter(m => m !== msg && getMessageTimestamp(m) > readAt && countsTowardsUnread(m))
+        .length;
+
+    // The store can miss messages, so receipts only ever lower the count
+    if (stillUnread < unreadCount || chat.unreadCount === -1) {
+        chat.unreadCount = stillUnread;
+    }
+}
+
+// Record a status change on a stored message. Statuses only move forward (updates can arrive out of order),
+// except 'error' which is always recorded. Returns the stored message, or null if it isn't in the store.
+function recordMessageStatus(sessionName, key, status) {
+    const msg = findStoredMessage(sessionName, key.id, key.remoteJid);
+    if (!msg) {
+        logger.debug(`Status ${status} for unknown message ${key.id} in ${key.remoteJid}`);
+        return null;
+    }
+
+    if (!msg.statusHistory) {
+        msg.statusHistory = [];
+        // Seed with the status the message was stored with (e.g. PENDING / SERVER_ACK for our own sends)
+        if (typeof msg.status === 'number' && msg.status !== status) {
+            msg.statusHistory.push({
+                status: MESSAGE_STATUS_NAMES[msg.status] || String(msg.status),
+                statusCode: msg.status,
+                at: toIsoTimestamp(msg.messageTimestamp) || new Date().toISOString()
+            });
+        }
+    }
+
+    if (msg.statusHistory.some(h => h.statusCode === status)) {
+        return msg;
+    }
+
+    msg.statusHistory.push({
+        status: MESSAGE_STATUS_NAMES[status] || String(status),
+        statusCode: status,
+        at: new Date().toISOString()
+    });
+    if (status === 0 || typeof msg.status !== 'number' || status > msg.status) {
+        msg.status = status;
+    }
+
+    persistMessage(sessionName, msg);
+    return msg;
+}
+
+// Record a per-participant receipt (delivered/read/played timestamps) on a stored message.
+// Returns { status, statusCode } for that participant, or null if the message isn't in the store.
+function recordMessageReceipt(sessionName, key, receipt) {
+    const msg = findStoredMessage(sessionName, key.id, key.remoteJid);
+    if (!msg) return null;
+
+    if (!Array.isArray(msg.userReceipt)) {
+        msg.userReceipt = [];
+    }
+    let entry = msg.userReceipt.find(r => r.userJid === receipt.userJid);
+    if (!entry) {
+        entry = { userJid: receipt.userJid };
+        msg.userReceipt.push(entry);
+    }
+
+    for (const field of ['receiptTimestamp', 'readTimestamp', 'playedTimestamp']) {
+        if (receipt[field]) {
+            entry[field] = Number(receipt[field]);
+        }
+    }
+
+    persistMessage(sessionName, msg);
+
+    const statusCode = entry.playedTimestamp ? 5 : entry.readTimestamp ? 4 : 3;
+    return { status: MESSAGE_STATUS_NAMES[statusCode], statusCode };
+}
+
+// Helper function to find the editable text of a message: { holder, field } for the text or media caption,
+// or null if the message has none (unwraps ephemeral/view once wrappers)
+function getEditableText(msg) {
+    const content = normalizeMessageContent(msg.message);
+    if (!content) return null;
+
+    if (typeof content.conversation === 'string') {
+        return { holder: content, field: 'conversation' };
+    }
+    if (content.extendedTextMessage) {
+        return { holder: content.extendedTextMessage, field: 'text' };
+    }
+    for (const type of ['imageMessage', 'videoMessage', 'documentMessage']) {
+        if (content[type]) {
+            return { holder: content[type], field: 'caption' };
+        }
+    }
+    return null;
+}
+
+// Apply an edit to a stored message, keeping the previous versions in editHistory.
+// Returns false if the message has no editable text. Repeating the current text is a no-op.
+function applyMessageEdit(sessionName, msg, text, editedAt = new Date().toISOString()) {
+    const editable = getEditableText(msg);
+    if (!editable) return false;
+
+    const previous = editable.holder[editable.field] || '';
+    if (previous === text) return true;
+    editable.holder[editable.field] = text;
+
+    if (!Array.isArray(msg.editHistory)) {
+        msg.editHistory = [];
+    }
+    msg.editHistory.push({ text: previous, replacedAt: editedAt });
+    msg.editedAt = editedAt;
+    persistMessage(sessionName, msg);
+    return true;
+}
+
+// Mark a stored message as deleted for everyone. Its content (and earlier versions) is dropped, like WhatsApp does.
+function applyMessageRevoke(sessionName, msg, deletedBy, deletedAt = new Date().toISOString()) {
+    if (msg.deletedAt) return;
+    msg.message = null;
+    delete msg.editHistory;
+    msg.deletedAt = deletedAt;
+    msg.deletedBy = deletedBy;
+    persistMessage(sessionName, msg);
+}
+
+// Set (or with an empty emoji remove) the reaction of one sender on a stored message.
+// msg.reactions holds at most one reaction per sender: [{ from, emoji, at }]
+function applyMessageReaction(sessionName, msg, from, emoji, at = new Date().toISOString()) {
+    const reactions = Array.isArray(msg.reactions) ? msg.reactions.filter(r => r.from !== from) : [];
+    if (emoji) {
+        reactions.push({ from, emoji, at });
+    }
+    msg.reactions = reactions;
+    persistMessage(sessionName, msg);
+}
+
+// Helper function to get the sender JID of a message key (our own JID for messages we sent)
+function getSenderJid(sessionName, key) {
+    if (key.fromMe) {
+        const user = sockets.get(sessionName)?.user;
+        return user?.id ? jidNormalizedUser(user.id) : 'me';
+    }
+    return key.participant || key.remoteJid;
+}
+
+// Apply a received edit or delete (protocolMessage), reaction or poll vote to the stored message it targets.
+// Returns true if msg is one of those - it is then not stored as a message of its own.
+function applyMessageModification(sessionName, msg) {
+    const content = normalizeMessageContent(msg.message);
+    if (!content) return false;
+
+    const toIso = (ms) => Number(ms) > 0 ? new Date(Number(ms)).toISOString() : (toIsoTimestamp(msg.messageTimestamp) || new Date().toISOString());
+    const sender = getSenderJid(sessionName, msg.key);
+
+    let targetId;
+    let apply;
+    if (content.reactionMessage) {
+        const { key, text, senderTimestampMs } = content.reactionMessage;
+        targetId = key?.id;
+        apply = (target) => applyMessageReaction(sessionName, target, sender, text || '', toIso(senderTimestampMs));
+    } else if (content.pollUpdateMessage) {
+        targetId = content.pollUpdateMessage.pollCreationMessageKey?.id;
+        apply = (target) => {
+            const options = decryptPollVoteOptions(sessionName, target, msg);
+            if (!options) {
+                logger.warn(`Could not decrypt poll vote ${msg.key.id} on poll ${targetId} (${sessionName})`);
+                return;
+            }
+            applyPollVote(sessionName, target, sender, options, toIso(content.pollUpdateMessage.senderTimestampMs));
+        };
+    } else if (content.protocolMessage?.type === proto.Message.ProtocolMessage.Type.REVOKE) {
+        targetId = content.protocolMessage.key?.id;
+        apply = (target) => {
+            if (!canModifyMessage(sessionName, target, msg, true)) {
+                logger.warn(`Ignoring delete of message ${targetId} by ${sender}, who is not its author or a group admin (${sessionName})`);
+                return;
+            }
+            applyMessageRevoke(sessionName, target, sender, toIso(null));
+        };
+    } else if (content.protocolMessage?.type === proto.Message.ProtocolMessage.Type.MESSAGE_EDIT) {
+        const { key, editedMessage, timestampMs } = content.protocolMessage;
+        const editable = getEditableText({ message: editedMessage });
+        targetId = key?.id;
+        apply = (target) => {
+            if (target.deletedAt || !editable) return;
+            if (!canModifyMessage(sessionName, target, msg, false)) {
+                logger.warn(`Ignoring edit of message ${targetId} by ${sender}, who is not its author (${sessionName})`);
+                return;
+            }
+            applyMessageEdit(sessionName, target, editable.holder[editable.field] || '', toIso(timestampMs));
+        };
+    } else {
+        return false;
+    }
+
+    const target = targetId ? findStoredMessage(sessionName, targetId) : null;
+    if (target) {
+        apply(target);
+    } else if (targetId) {
+        logger.debug(`Message ${targetId} modified by ${msg.key.id} is not in the store of ${sessionName} yet`);
+        queuePendingModification(sessionName, targetId, msg);
+    }
+    return true;
+}
+
+// Helper function to get the JIDs the author of a message can appear under (phone number and LID forms)
+function getAuthorJids(sessionName, key) {
+    const user = sockets.get(sessionName)?.user;
+    const jids = key.fromMe
+        ? [user?.id, user?.lid]
+        : key.participant ? [key.participant, key.participantAlt] : [key.remoteJid, key.remoteJidAlt];
+    return jids.filter(Boolean).map(jidNormalizedUser);
+}
+
+// Only the author can edit or delete a message. In groups an admin can also delete other members' messages.
+function canModifyMessage(sessionName, target, modification, isRevoke) {
+    if (target.key.fromMe && modification.key.fromMe) return true;
+
+    const modifierJids = getAuthorJids(sessionName, modification.key);
+    if (!target.key.fromMe && !modification.key.fromMe) {
+        const authorJids = getAuthorJids(sessionName, target.key);
+        if (modifierJids.some(jid => authorJids.includes(jid))) return true;
+    }
+
+    if (isRevoke && target.key.remoteJid.endsWith('@g.us')) {
+        const metadata = getGroupCache(sessionName).get(target.key.remoteJid)?.metadata;
+        return !!metadata?.participants.some(p => p.admin && modifierJids.some(jid => isSameParticipant(p, jid)));
+    }
+    return false;
+}
+
+// Keep a modification until the message it targets is stored (oldest targets are dropped past the limit)
+function queuePendingModification(sessionName, targetId, msg) {
+    if (!pendingMessageModifications.has(sessionName)) {
+        pendingMessageModifications.set(sessionName, new Map());
+    }
+    const pending = pendingMessageModifications.get(sessionName);
+    if (!pending.has(targetId)) {
+        if (pending.size >= PENDING_MODIFICATIONS_LIMIT) {
+            pending.delete(pending.keys().next().value);
+        }
+        pending.set(targetId, []);
+    }
+    const queued = pending.get(targetId);
+    if (!queued.some(m => m.key.id === msg.key.id)) {
+        queued.push(msg);
+    }
+}
+
+// Apply the modifications that arrived before this message was stored
+function applyPendingModifications(sessionName, msg) {
+    const pending = pendingMessageModifications.get(sessionName);
+    const queued = pending?.get(msg.key.id);
+    if (!queued) return;
+
+    pending.delete(msg.key.id);
+    for (const modification of queued) {
+        applyMessageModification(sessionName, modification);
+    }
+}
+
+// Helper function to get the poll of a message (any poll creation version), or null
+function getPollCreation(msg) {
+    const content = normalizeMessageContent(msg.message);
+    return content?.pollCreationMessage || content?.pollCreationMessageV2 || content?.pollCreationMessageV3 || null;
+}
+
+// Helper function to decrypt a poll vote into the selected option names. The poll creator and voter can be
+// addressed by phone number or LID depending on the chat, so each combination is tried. Returns null on failure.
+function decryptPollVoteOptions(sessionName, pollMsg, voteMsg) {
+    const poll = getPollCreation(pollMsg);
+    const pollEncKey = pollMsg.message?.messageContextInfo?.messageSecret;
+    const vote = normalizeMessageContent(voteMsg.message)?.pollUpdateMessage?.vote;
+    if (!poll || !pollEncKey || !vote) return null;
+
+    const user = sockets.get(sessionName)?.user;
+    const authorJids = (key) => {
+        const jids = key.fromMe
+            ? [user?.id, user?.lid]
+            : [key.participant, key.participantAlt, key.remoteJid, key.remoteJidAlt];
+        return [...new Set(jids.filter(Boolean).map(jidNormalizedUser))];
+    };
+
+    for (const pollCreatorJid of authorJids(pollMsg.key)) {
+        for (const voterJid of authorJids(voteMsg.key)) {
+            let decrypted;
+            try {
+                decrypted = decryptPollVote(vote, { pollCreatorJid, pollMsgId: pollMsg.key.id, pollEncKey, voterJid });
+            } catch (e) {
+                continue; // Wrong JID combination - authentication fails
+            }
+            // Votes carry the SHA-256 of each selected option name
+            const optionsByHash = new Map((poll.options || []).map(o =>
+                [crypto.createHash('sha256').update(o.optionName || '').digest('hex'), o.optionName || '']
+            ));
+            return (decrypted.selectedOptions || []).map(hash => optionsByHash.get(Buffer.from(hash).toString('hex')) || 'Unknown');
+        }
+    }
+    return null;
+}
+
+// Record the vote of one voter on a stored poll (an empty selection withdraws the vote).
+// msg.pollVotes holds the latest vote of each voter: [{ voter, options, at }]
+function applyPollVote(sessionName, msg, voter, options, at = new Date().toISOString()) {
+    const votes = Array.isArray(msg.pollVotes) ? msg.pollVotes.filter(v => v.voter !== voter) : [];
+    if (options.length > 0) {
+        votes.push({ voter, options, at });
+    }
+    msg.pollVotes = votes;
+    persistMessage(sessionName, msg);
+}
+
+// Helper function to tally the votes of a poll message
+function getPollResults(msg) {
+    const poll = getPollCreation(msg);
+    const options = (poll?.options || []).map(o => ({ name: o.optionName || '', votes: 0, voters: [] }));
+    const votes = msg.pollVotes || [];
+
+    for (const vote of votes) {
+        for (const name of vote.options) {
+            let option = options.find(o => o.name === name);
+            if (!option) {
+                option = { name, votes: 0, voters: [] };
+                options.push(option);
+            }
+            option.votes++;
+            option.voters.push(vote.voter);
+        }
+    }
+
+    return {
+        name: poll?.name || '',
+        selectableCount: poll?.selectableOptionsCount || 0,
+        options,
+        totalVoters: votes.length
+    };
+}
+
+// Helper function to summarize the reactions of a message: { emoji: count }
+function countReactions(msg) {
+    const counts = {};
+    for (const reaction of msg.reactions || []) {
+        counts[reaction.emoji] = (counts[reaction.emoji] || 0) + 1;
+    }
+    return counts;
+}
+
+// Helper function to describe the delivery state of a stored message for API responses
+function getMessageStatusInfo(msg) {
+    const statusCode = typeof msg.status === 'number' ? msg.status : null;
+    return {
+        messageId: msg.key.id,
+        chatJid: msg.key.remoteJid,
+        fromMe: msg.key.fromMe || false,
+        status: statusCode !== null ? (MESSAGE_STATUS_NAMES[statusCode] || String(statusCode)) : null,
+        statusCode,
+        history: msg.statusHistory || [],
+        receipts: (msg.userReceipt || []).map(r => ({
+            participant: r.userJid,
+            deliveredAt: toIsoTimestamp(r.receiptTimestamp),
+            readAt: toIsoTimestamp(r.readTimestamp),
+            playedAt: toIsoTimestamp(r.playedTimestamp)
+        }))
+    };
+}
+
+// Helper function to get a page of messages for a chat (oldest first).
+// Without cursors it returns the latest `limit` messages; `before` / `after` are message IDs
+// and return the `limit` messages right before / after that message.
+function getMessagesForChat(sessionName, jid, { limit = 20, before = null, after = null } = {}) {
+    const messageMap = getMessageStore(sessionName);
+    const emptyPage = { messages: [], total: 0, hasMoreBefore: false, hasMoreAfter: false };
+
+    // Try exact JID match first
+    let allMessages = messageMap.get(jid);
+
+    // If not found, try to find by matching JID (handle different formats)
+    if (!allMessages || allMessages.length === 0) {
+        logger.debug(`getMessagesForChat: No messages found for exact JID ${jid}, checking all stored JIDs...`);
+        // List all stored JIDs for debugging
+        const storedJids = Array.from(messageMap.keys());
+        logger.debug(`getMessagesForChat: Available JIDs in store: ${storedJids.slice(0, 5).join(', ')}${storedJids.length > 5 ? '...' : ''}`);
+
+        // Try to find a match (case-insensitive, handle URL encoding)
+        for (const storedJid of storedJids) {
+            if (storedJid === jid || storedJid === decodeURIComponent(jid) || decodeURIComponent(storedJid) === jid) {
+                allMessages = messageMap.get(storedJid);
+                logger.debug(`getMessagesForChat: Found match! Using ${storedJid} for requested ${jid}`);
+                break;
+            }
+        }
+    }
+
+    if (!allMessages || allMessages.length === 0) {
+        logger.debug(`getMessagesForChat: No messages found for ${jid} after all checks`);
+        return emptyPage;
+    }
+
+    // Sort by timestamp (oldest first for display) - history sync delivers messages out of order
+    allMessages.sort((a, b) => getMessageTimestamp(a) - getMessageTimestamp(b));
+
+    let start = Math.max(0, allMessages.length - limit);
+    let end = allMessages.length;
+
+    if (before || after) {
+        const cursorId = before || after;
+        const cursorIndex = allMessages.findIndex(m => m.key?.id === cursorId);
+        if (cursorIndex === -1) {
+            return { ...emptyPage, total: allMessages.length, error: `Unknown cursor: ${cursorId}` };
+        }
+        if (before) {
+            end = cursorIndex;
+            start = Math.max(0, end - limit);
+        } else {
+            start = cursorIndex + 1;
+            end = Math.min(allMessages.length, start + limit);
+        }
+    }
+
+    const result = allMessages.slice(start, end);
+    logger.debug(`getMessagesForChat: Returning ${result.length} messages (start: ${start}, end: ${end}, total: ${allMessages.length})`);
+
+    return {
+        messages: result,
+        total: allMessages.length,
+        hasMoreBefore: start > 0,
+        hasMoreAfter: end < allMessages.length
+    };
+}
+
+// Helper function to create the connection state of a session that was never started
+function createSessionInfo() {
+    return {
+        state: 'disconnected',
+        stateSince: new Date().toISOString(),
+        connectedSince: null,
+        lastDisconnect: null,
+        reconnectCount: 0,
+        reconnectAttempts: 0,
+        badSessionCloses: 0,
+        nextReconnectAt: null,
+        reconnectTimer: null,
+        history: [],
+        socket: null,
+        lastEvents: {}
+    };
+}
+
+// Helper function to get the tracked connection state of a session
+function getSessionInfo(sessionName) {
+    if (!sessionInfo.has(sessionName)) {
+        sessionInfo.set(sessionName, createSessionInfo());
+    }
+    return sessionInfo.get(sessionName);
+}
+
+// Helper function to check whether a session's socket is open. sock.user alone isn't enough: Baileys sets it
+// from saved creds while connecting and as soon as a pairing code is requested.
+function isSessionConnected(sessionName, sock = sockets.get(sessionName)) {
+    return !!sock && sockets.get(sessionName) === sock && sessionInfo.get(sessionName)?.state === 'connected';
+}
+
+function setSessionState(sessionName, state) {
+    const info = getSessionInfo(sessionName);
+    if (info.state !== state) {
+        const previousState = info.state;
+        info.state = state;
+        info.stateSince = new Date().toISOString();
+        publishStreamEvent(sessionName, 'connection', {
+            state,
+            previousState,
+            since: info.stateSince,
+            lastDisconnect: info.lastDisconnect
+        });
+    }
+    return info;
+}
+
+// Add an entry to the connection history of a session (newest last, capped at CONNECTION_HISTORY_LIMIT)
+function recordConnectionEvent(sessionName, event, details = {}) {
+    const info = getSessionInfo(sessionName);
+    info.history.push({ at: new Date().toISOString(), event, ...details });
+    if (info.history.length > CONNECTION_HISTORY_LIMIT) {
+        info.history.splice(0, info.history.length - CONNECTION_HISTORY_LIMIT);
+    }
+}
+
+// Helper function to decide how to handle a closed connection.
+// Returns { action: 'retry' | 'wipe' | 'give_up', delayMs, reason }.
+function decideReconnect(statusCode, reconnectAttempts, badSessionCloses = 0) {
+    const action = DISCONNECT_ACTIONS[statusCode] || 'retry';
+    const reasonName = DisconnectReason[statusCode] || `unknown (${statusCode})`;
+
+    if (action !== 'retry') {
+        return { action, delayMs: null, reason: reasonName };
+    }
+
+    if (statusCode === DisconnectReason.restartRequired) {
+        return { action, delayMs: 0, reason: reasonName };
+    }
+
+    if (statusCode === DisconnectReason.badSession && badSessionCloses > BAD_SESSION_MAX_ATTEMPTS) {
+        return { action: 'give_up', delayMs: null, reason: `${reasonName}, closed ${badSessionCloses} times in a row` };
+    }
+
+    if (RECONNECT_MAX_ATTEMPTS > 0 && reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+        return { action: 'give_up', delayMs: null, reason: `${reasonName}, ${reconnectAttempts} reconnect attempts failed` };
+    }
+
+    const baseDelay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * Math.pow(2, reconnectAttempts));
+    const jitter = baseDelay * RECONNECT_JITTER * (Math.random() * 2 - 1);
+    return { action, delayMs: Math.max(0, Math.round(baseDelay + jitter)), reason: reasonName };
+}
+
+// Delete the login state of a session but keep API-level configuration (webhooks, campaigns, ...)
+function clearSessionFiles(sessionName) {
+    const sessionDir = getSessionDir(sessionName);
+    clearMessageStore(sessionName);
+    sessionGroupMetadata.delete(sessionName);
+    sessionGroupEvents.delete(sessionName);
+    if (!fs.existsSync(sessionDir)) return;
+    for (const entry of fs.readdirSync(sessionDir)) {
+        if (!PRESERVED_SESSION_FILES.includes(entry)) {
+            fs.rmSync(path.join(sessionDir, entry), { recursive: true, force: true });
+        }
+    }
+}
+
+// Helper function to check the auth files of a session: creds.json contents and signal key file counts
+function getCredentialHealth(sessionName) {
+    const sessionDir = getSessionDir(sessionName);
+    const health = {
+        credsFile: { exists: false, valid: false, registered: false, account: null, size: 0, modifiedAt: null, error: null },
+        keyFiles: {},
+        emptyFiles: []
+    };
+
+    if (!fs.existsSync(sessionDir)) {
+        return health;
+    }
+
+    const credsPath = path.join(sessionDir, 'creds.json');
+    if (fs.existsSync(credsPath)) {
+        const stat = fs.statSync(credsPath);
+        health.credsFile.exists = true;
+        health.credsFile.size = stat.size;
+        health.credsFile.modifiedAt = stat.mtime.toISOString();
+        const check = checkSessionCredentials(sessionName);
+        health.credsFile.valid = check.valid;
+        health.credsFile.error = check.reason;
+        if (check.valid) {
+            const creds = JSON.parse(fs.readFileSync(credsPath, 'utf-8'));
+            health.credsFile.registered = !!creds.registered;
+            health.credsFile.account = creds.me.id;
+        }
+    }
+
+    // Signal key files are named <type>-<id>.json (pre-key-1.json, session-123.0.json, ...)
+    for (const file of fs.readdirSync(sessionDir)) {
+        const filePath = path.join(sessionDir, file);
+        if (!file.endsWith('.json') || file === 'creds.json' || !fs.statSync(filePath).isFile()) continue;
+        const match = file.match(/^(pre-key|session|sender-key|sender-key-memory|app-state-sync-key|app-state-sync-version|lid-mapping|device-list)-/);
+        if (match) {
+            health.keyFiles[match[1]] = (health.keyFiles[match[1]] || 0) + 1;
+        }
+        if (fs.statSync(filePath).size === 0) {
+            health.emptyFiles.push(file);
+        }
+    }
+
+    return health;
+}
+
+// Helper function to describe a session for the /api/sessions registry
+// Helper function to check if a session was started or has files (the sessions GET /api/sessions lists)
+function isKnownSession(sessionName) {
+    return sockets.has(sessionName) || qrCodes.has(sessionName) || sessionInfo.has(sessionName) ||
+        fs.existsSync(getSessionDir(sessionName));
+}
+
+function describeSession(sessionName) {
+    const sock = sockets.get(sessionName);
+    const info = sessionInfo.get(sessionName);
+    const sessionDir = getSessionDir(sessionName);
+    const hasCredentials = fs.existsSync(path.join(sessionDir, 'creds.json'));
+
+    let state = info ? info.state : 'disconnected';
+    if (!info && qrCodes.has(sessionName)) {
+        state = 'qr';
+    }
+
+    // Phone from the live socket, else from the saved credentials
+    let jid = sock?.user?.id || null;
+    if (!jid && hasCredentials) {
+        try {
+            jid = JSON.parse(fs.readFileSync(path.join(sessionDir, 'creds.json'), 'utf-8')).me?.id || null;
+        } catch (e) {
+            // Unreadable creds - reported as no phone
+        }
+    }
+
+    // Message counts only for stores already in memory (loading every session's history here would be slow)
+    let messageCount = null;
+    const messageStore = sessionMessages.get(sessionName);
+    if (messageStore) {
+        messageCount = 0;
+        for (const chatMessages of messageStore.values()) {
+            messageCount += chatMessages.length;
+        }
+    }
+
+    return {
+        name: sessionName,
+        state,
+        stateSince: info?.stateSince || null,
+        connected: state === 'connected',
+        phone: jid ? jid.split(':')[0].split('@')[0] : null,
+        connectedSince: info?.connectedSince || null,
+        lastDisconnect: info?.lastDisconnect || null,
+        reconnectCount: info?.reconnectCount || 0,
+        reconnectAttempts: info?.reconnectAttempts || 0,
+        nextReconnectAt: info?.nextReconnectAt || null,
+        hasSocket: !!sock,
+        hasQRCode: qrCodes.has(sessionName),
+        hasCredentials,
+        chatCount: sessionChats.get(sessionName)?.size || 0,
+        messageCount
+    };
+}
+
+// Helper function to check a session directory holds credentials of a completed login
+function checkSessionCredentials(sessionName) {
+    const credsPath = path.join(getSessionDir(sessionName), 'creds.json');
+    if (!fs.existsSync(credsPath)) {
+        return { valid: false, reason: 'No creds.json' };
+    }
+    try {
+        const creds = JSON.parse(fs.readFileSync(credsPath, 'utf-8'));
+        if (!creds.me || !creds.me.id) {
+            return { valid: false, reason: 'Login was never completed (no account in creds.json)' };
+        }
+        // Requesting a pairing code already writes creds.me; the login is only complete once the phone confirmed it
+        if (!creds.registered && !creds.account) {
+            return { valid: false, reason: 'Login was never completed (pairing code not entered)' };
+        }
+        return { valid: true, reason: null };
+    } catch (err) {
+        return { valid: false, reason: `creds.json is unreadable: ${err.message}` };
+    }
+}
+
+// Helper function to wait until a session is open, logged out, or the timeout passes
+async function waitForConnection(sessionName, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const state = getSessionInfo(sessionName).state;
+        if (state === 'connected' || state === 'logged_out' || state === 'failed') {
+            return state;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return 'timeout';
+}
+
+// Reconnect every saved session with valid credentials, RESTORE_CONCURRENCY at a time and
+// at least RESTORE_STAGGER_MS apart (many sockets connecting at once gets the server rate limited)
+async function restoreSessions() {
+    restoreState.startedAt = new Date().toISOString();
+    restoreState.finishedAt = null;
+    restoreState.sessions = {};
+
+    const queue = [];
+    for (const entry of fs.readdirSync(SESSIONS_DIR, { withFileTypes: true })) {
+        if (!entry.isDirectory() || !isValidSessionName(entry.name)) continue;
+
+        const { valid, reason } = checkSessionCredentials(entry.name);
+        if (valid) {
+            restoreState.sessions[entry.name] = { status: 'pending', reason: null, startedAt: null, finishedAt: null };
+            queue.push(entry.name);
+        } else {
+            restoreState.sessions[entry.name] = { status: 'skipped', reason, startedAt: null, finishedAt: null };
+        }
+    }
+
+    logger.info(`🔄 Restoring ${queue.length} saved session(s) (concurrency: ${RESTORE_CONCURRENCY}, stagger: ${RESTORE_STAGGER_MS}ms)`);
+
+    let nextStartAt = Date.now();
+    const worker = async () => {
+        while (queue.length > 0) {
+            const sessionName = queue.shift();
+            const result = restoreState.sessions[sessionName];
+
+            // Stagger starts across all workers
+            const wait = Math.max(0, nextStartAt - Date.now());
+            nextStartAt = Math.max(Date.now(), nextStartAt) + RESTORE_STAGGER_MS;
+            await new Promise(resolve => setTimeout(resolve, wait));
+
+            result.status = 'restoring';
+            result.startedAt = new Date().toISOString();
+            try {
+                if (!sockets.has(sessionName)) {
+                    await startSocket(sessionName);
+                }
+                const outcome = await waitForConnection(sessionName, RESTORE_CONNECT_TIMEOUT_MS);
+                result.status = outcome;
+                if (outcome === 'timeout') {
+                    result.reason = `Not connected within ${RESTORE_CONNECT_TIMEOUT_MS}ms (still retrying in the background)`;
+                } else if (outcome === 'logged_out' || outcome === 'failed') {
+                    const lastDisconnect = getSessionInfo(sessionName).lastDisconnect;
+                    result.reason = lastDisconnect ? `${DisconnectReason[lastDisconnect.statusCode] || lastDisconnect.statusCode}: ${lastDisconnect.reason}` : null;
+                }
+            } catch (err) {
+                result.status = 'failed';
+                result.reason = err.message;
+            }
+            result.finishedAt = new Date().toISOString();
+            logger.info(`🔄 Restore of ${sessionName}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+        }
+    };
+
+    await Promise.all(Array.from({ length: RESTORE_CONCURRENCY }, worker));
+    restoreState.finishedAt = new Date().toISOString();
+    logger.info(`🔄 Session restore finished`);
+}
+
+// Helper function to parse CSV text (quoted fields, "" escapes, CRLF) into an array of row objects keyed by header
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, ''); // strip BOM added by Excel
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map(values => {
+        const obj = {};
+        headers.forEach((header, i) => {
+            obj[header] = (values[i] || '').trim();
+        });
+        return obj;
+    });
+}
+
+// Helper function to fill {{variable}} placeholders in a message template
+function renderTemplate(template, variables) {
+    return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) =>
+        variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : ''
+    );
+}
+
+// Helper function to normalize campaign recipients from a JSON array, CSV text or an uploaded CSV/JSON file.
+// Every row needs a phone (or chatJid); all other columns become template variables.
+// Returns { recipients } on success, or { status, error } if the input is unusable.
+function parseCampaignRecipients({ recipients, csv, file }) {
+    let rows = recipients;
+
+    try {
+        if (file) {
+            const content = file.buffer.toString('utf-8');
+            const isJson = file.mimetype === 'application/json' || /\.json$/i.test(file.originalname || '');
+            rows = isJson ? JSON.parse(content) : parseCsv(content);
+        } else if (csv) {
+            rows = parseCsv(csv);
+        } else if (typeof recipients === 'string') {
+            // Multipart forms send JSON fields as strings
+            rows = JSON.parse(recipients);
+        }
+    } catch (e) {
+        return { status: 400, error: `Could not parse recipients: ${e.message}` };
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return { status: 400, error: 'Recipients are required: a "recipients" array, "csv" text or an uploaded CSV/JSON "file"' };
+    }
+
+    const normalized = [];
+    for (let i = 0; i < rows.length; i++) {
+        const row = typeof rows[i] === 'string' ? { phone: rows[i] } : rows[i];
+        if (!row || typeof row !== 'object') {
+            return { status: 400, error: `Recipient ${i + 1} is not an object` };
+        }
+
+        // Column names are matched case-insensitively (CSV headers are often "Phone")
+        const lookup = (name) => {
+            const key = Object.keys(row).find(k => k.toLowerCase() === name.toLowerCase());
+            return key ? row[key] : undefined;
+        };
+        const phone = lookup('phone');
+        const chatJid = lookup('chatJid');
+        if (!phone && !chatJid) {
+            return { status: 400, error: `Recipient ${i + 1} has no phone or chatJid` };
+        }
+
+        normalized.push({
+            index: i,
+            phone: phone ? String(phone) : null,
+            chatJid: chatJid || null,
+            variables: row.variables && typeof row.variables === 'object' ? { ...row, ...row.variables } : row,
+            status: 'pending',
+            jid: null,
+            messageId: null,
+            error: null,
+            updatedAt: null
+        });
+    }
+
+    return { recipients: normalized };
+}
+
+// Helper function to get the campaigns of a session (loaded from disk on first use)
+function getCampaigns(sessionName) {
+    if (!sessionCampaigns.has(sessionName)) {
+        const campaigns = new Map();
+        const campaignsDir = path.join(getSessionDir(sessionName), 'campaigns');
+        if (fs.existsSync(campaignsDir)) {
+            for (const file of fs.readdirSync(campaignsDir)) {
+                if (!file.endsWith('.json')) continue;
+                const campaign = readSessionJson(sessionName, path.join('campaigns', file), null);
+                if (!campaign) continue;
+
+                // A send was in flight when the server stopped - we can't know if it went out, so don't resend it
+                for (const recipient of campaign.recipients) {
+                    if (recipient.status === 'sending') {
+                        recipient.status = 'failed';
+                        recipient.error = 'Interrupted by server restart (delivery unknown)';
+                        recipient.updatedAt = new Date().toISOString();
+                    }
+                }
+                campaigns.set(campaign.id, campaign);
+            }
+        }
+        sessionCampaigns.set(sessionName, campaigns);
+    }
+    return sessionCampaigns.get(sessionName);
+}
+
+function saveCampaign(sessionName, campaign) {
+    // The campaign may be deleted while a send is in flight - don't write its file back
+    if (campaign.deleted) return;
+
+    campaign.updatedAt = new Date().toISOString();
+    try {
+        writeSessionJson(sessionName, path.join('campaigns', `${campaign.id}.json`), campaign);
+    } catch (err) {
+        logger.error(`Failed to save campaign ${campaign.id}: ${err.message}`);
+    }
+}
+
+// Helper function to summarize a campaign (without the recipient list) for API responses
+function summarizeCampaign(campaign) {
+    const counts = { pending: 0, sending: 0, sent: 0, failed: 0, skipped: 0 };
+    for (const recipient of campaign.recipients) {
+        counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+    }
+
+    const { recipients, ...summary } = campaign;
+    return {
+        ...summary,
+        total: recipients.length,
+        counts,
+        progress: recipients.length ? Math.round(((counts.sent + counts.failed + counts.skipped) / recipients.length) * 100) : 100
+    };
+}
+
+// Send the campaign message to one recipient, reusing the same phone validation / onWhatsApp check as send-message
+async function sendCampaignMessage(sessionName, sock, campaign, recipient) {
+    recipient.status = 'sending';
+    saveCampaign(sessionName, campaign);
+
+    try {
+        const target = await resolveTargetJid(sock, { phone: recipient.phone, chatJid: recipient.chatJid });
+        if (target.error) {
+            recipient.status = 'failed';
+            recipient.error = target.error;
+        } else {
+            const text = renderTemplate(campaign.template, recipient.variables);
+            const result = await sock.sendMessage(target.jid, { text });
+            if (!result || !result.key) {
+                throw new Error('Message send returned invalid response');
+            }
+            storeMessage(sessionName, result);
+            recipient.status = 'sent';
+            recipient.jid = target.jid;
+            recipient.messageId = result.key.id;
+            recipient.error = null;
+        }
+    } catch (error) {
+        if (!isSessionConnected(sessionName, sock)) {
+            // The connection dropped mid-send - retry this recipient once the session is back
+            recipient.status = 'pending';
+        } else {
+            recipient.status = 'failed';
+            recipient.error = describeSendError(error);
+        }
+    }
+
+    recipient.updatedAt = new Date().toISOString();
+    logger.info(`📣 Campaign ${campaign.id} recipient ${recipient.index + 1}/${campaign.recipients.length}: ${recipient.status}${recipient.error ? ` (${recipient.error})` : ''}`);
+    saveCampaign(sessionName, campaign);
+}
+
+// Background worker that sends all running campaigns of a session one recipient at a time.
+// It stops when nothing is left to send or the session disconnects; connection 'open' starts it again.
+async function runCampaigns(sessionName) {
+    if (campaignRunners.has(sessionName)) return;
+    campaignRunners.add(sessionName);
+
+    try {
+        while (true) {
+            const campaign = Array.from(getCampaigns(sessionName).values())
+                .filter(c => c.status === 'running')
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+            if (!campaign) break;
+
+            const recipient = campaign.recipients.find(r => r.status === 'pending');
+            if (!recipient) {
+                campaign.status = 'completed';
+                campaign.completedAt = new Date().toISOString();
+                campaign.nextSendAt = null;
+                saveCampaign(sessionName, campaign);
+                logger.info(`📣 Campaign ${campaign.id} (${campaign.name}) completed`);
+                continue;
+            }
+
+            const sock = sockets.get(sessionName);
+            if (!isSessionConnected(sessionName, sock)) {
+                logger.info(`📣 Campaigns for ${sessionName} waiting for the session to connect`);
+                break;
+            }
+
+            if (!campaign.startedAt) {
+                campaign.startedAt = new Date().toISOString();
+            }
+            await sendCampaignMessage(sessionName, sock, campaign, recipient);
+
+            // Randomized delay between sends, plus a longer pause after every batch
+            const { minDelayMs, maxDelayMs, batchSize, batchPauseMs } = campaign.pacing;
+            let delay = minDelayMs + Math.floor(Math.random() * (maxDelayMs - minDelayMs + 1));
+            const processed = campaign.recipients.filter(r => r.status !== 'pending').length;
+            if (batchSize && batchPauseMs && processed % batchSize === 0) {
+                delay += batchPauseMs;
+            }
+            campaign.nextSendAt = new Date(Date.now() + delay).toISOString();
+            saveCampaign(sessionName, campaign);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    } catch (err) {
+        logger.error(`Campaign worker for ${sessionName} failed: ${err.message}`);
+    } finally {
+        campaignRunners.delete(sessionName);
+    }
+}
+
+// Helper function to get the scheduled messages of a session (loaded from disk on first use)
+function getScheduledMessages(sessionName) {
+    if (!sessionScheduledMessages.has(sessionName)) {
+        const jobs = readSessionJson(sessionName, 'scheduled_messages.json', []);
+        // A send was in flight when the server stopped - we can't know if it went out, so don't resend it
+        for (const job of jobs) {
+            if (job.status === 'sending') {
+                job.status = 'failed';
+                job.lastError = 'Interrupted by server restart (delivery unknown)';
+            }
+        }
+        sessionScheduledMessages.set(sessionName, jobs);
+    }
+    return sessionScheduledMessages.get(sessionName);
+}
+
+function saveScheduledMessages(sessionName) {
+    try {
+        writeSessionJson(sessionName, 'scheduled_messages.json', getScheduledMessages(sessionName));
+    } catch (err) {
+        logger.error(`Failed to save scheduled messages for ${sessionName}: ${err.message}`);
+    }
+}
+
+// Helper function to validate the editable fields of a scheduled message.
+// Returns the normalized fields, or { status, error } if they are invalid.
+function parseScheduledMessageInput(body, existing = {}) {
+    const fields = {
+        phone: body.phone !== undefined ? body.phone : existing.phone,
+        chatJid: body.chatJid !== undefined ? body.chatJid : existing.chatJid,
+        chatId: body.chatId !== undefined ? body.chatId : existing.chatId,
+        isGroup: body.isGroup !== undefined ? body.isGroup : existing.isGroup,
+        message: body.message !== undefined ? body.message : existing.message,
+        sendAt: body.sendAt !== undefined ? body.sendAt : existing.sendAt,
+        retryWindowMinutes: body.retryWindowMinutes !== undefined
+            ? parseInt(body.retryWindowMinutes)
+            : (existing.retryWindowMinutes ?? SCHEDULE_RETRY_WINDOW_MINUTES)
+    };
+
+    if (!fields.message || typeof fields.message !== 'string') {
+        return { status: 400, error: 'Message is required' };
+    }
+
+    if (!fields.chatJid && !fields.chatId && !fields.phone) {
+        return { status: 400, error: 'Either phone or chatId (with isGroup) is required' };
+    }
+    if (!fields.chatJid && !fields.chatId) {
+        // Full validation (incl. onWhatsApp) happens at send time - the session may be offline now
+        const normalized = normalizePhone(fields.phone);
+        if (normalized.error) {
+            return normalized;
+        }
+    }
+
+    const sendAt = new Date(fields.sendAt);
+    if (!fields.sendAt || isNaN(sendAt.getTime())) {
+        return { status: 400, error: 'sendAt must be an ISO date/time' };
+    }
+    fields.sendAt = sendAt.toISOString();
+
+    if (isNaN(fields.retryWindowMinutes) || fields.retryWindowMinutes < 0) {
+        return { status: 400, error: 'retryWindowMinutes must be a number of minutes (0 or more)' };
+    }
+
+    return fields;
+}
+
+// Send every due scheduled message. A message whose session is offline (or whose send fails) is retried on
+// each tick until sendAt + retryWindowMinutes has passed, after which it is marked failed.
+async function processScheduledMessages() {
+    const now = Date.now();
+    const sessionNames = new Set(sessionScheduledMessages.keys());
+    // Sessions on disk whose jobs haven't been loaded yet (e.g. right after a restart)
+    if (fs.existsSync(SESSIONS_DIR)) {
+        for (const entry of fs.readdirSync(SESSIONS_DIR)) {
+            if (fs.existsSync(path.join(SESSIONS_DIR, entry, 'scheduled_messages.json'))) {
+                sessionNames.add(entry);
+            }
+        }
+    }
+
+    for (const sessionName of sessionNames) {
+        const dueJobs = getScheduledMessages(sessionName).filter(job =>
+            job.status === 'pending' && new Date(job.sendAt).getTime() <= now
+        );
+
+        for (const dueJob of dueJobs) {
+            // Earlier sends of this tick await, so the job may have been cancelled or rescheduled meanwhile
+            const job = getScheduledMessages(sessionName).find(j => j.id === dueJob.id);
+            if (!job || job.status !== 'pending' || new Date(job.sendAt).getTime() > Date.now()) {
+                continue;
+            }
+
+            const deadline = new Date(job.sendAt).getTime() + job.retryWindowMinutes * 60 * 1000;
+            const sock = sockets.get(sessionName);
+
+            if (!isSessionConnected(sessionName, sock)) {
+                job.lastError = 'Session not connected';
+                if (now > deadline) {
+                    job.status = 'failed';
+                    logger.warn(`⏰ Scheduled message ${job.id} failed: session ${sessionName} not connected within the retry window`);
+                }
+                saveScheduledMessages(sessionName);
+                continue;
+            }
+
+            job.status = 'sending';
+            job.attempts = (job.attempts || 0) + 1;
+            saveScheduledMessages(sessionName);
+
+            try {
+                const target = await resolveTargetJid(sock, job);
+                if (target.error) {
+                    // Invalid/unregistered number - retrying won't help
+                    job.status = 'failed';
+                    job.lastError = target.error;
+                } else {
+                    const result = await sock.sendMessage(target.jid, { text: job.message });
+                    if (!result || !result.key) {
+                        throw new Error('Message send returned invalid response');
+                    }
+                    storeMessage(sessionName, result);
+                    job.status = 'sent';
+                    job.jid = target.jid;
+                    job.messageId = result.key.id;
+                    job.sentAt = new Date().toISOString();
+                    job.lastError = null;
+                    logger.info(`⏰ Scheduled message ${job.id} sent to ${target.jid}, messageId: ${job.messageId}`);
+                }
+            } catch (error) {
+                job.lastError = describeSendError(error);
+                job.status = Date.now() > deadline ? 'failed' : 'pending';
+                logger.warn(`⏰ Scheduled message ${job.id} attempt ${job.attempts} failed: ${job.lastError}${job.status === 'failed' ? ' (giving up)' : ''}`);
+            }
+
+            saveScheduledMessages(sessionName);
+        }
+    }
+}
+
+// Helper function to start WhatsApp socket
+async function startSocket(sessionName, forceNew = false) {
+    const sessionDir = getSessionDir(sessionName);
+
+    // If forcing new, delete existing session directory
+    if (forceNew && fs.existsSync(sessionDir)) {
+        logger.info(`Deleting existing session directory for fresh start: ${sessionName}`);
+        try {
+            // Close existing socket if any (detached first so its close event doesn't schedule a reconnect)
+            const existingSock = sockets.get(sessionName);
+            if (existingSock) {
+                getSessionInfo(sessionName).socket = null;
+                try {
+                    await existingSock.end();
+                } catch (e) {
+                    // Ignore errors
+                }
+                sockets.delete(sessionName);
+            }
+            // Wipe login state but keep API-level configuration (webhooks etc.)
+            clearSessionFiles(sessionName);
+        } catch (err) {
+            logger.error(`Error deleting session directory: ${err.message}`);
+        }
+    }
+
+    // Create session directory if it doesn't exist
+    if (!fs.existsSync(sessionDir)) {
+        fs.mkdirSync(sessionDir, { recursive: true });
+    }
+
+    const { state, saveCreds } = await useMultiFileAuthState(sessionDir);
+    const { version } = await fetchLatestBaileysVersion();
+
+    // A manual start replaces any pending automatic reconnect
+    const info = setSessionState(sessionName, 'connecting');
+    if (info.reconnectTimer) {
+        clearTimeout(info.reconnectTimer);
+        info.reconnectTimer = null;
+        info.nextReconnectAt = null;
+    }
+    recordConnectionEvent(sessionName, 'connecting', { forceNew });
+
+    logger.info(`Creating socket for session: ${sessionName}`);
+    logger.info(`Session directory: ${sessionDir}`);
+    logger.info(`Has credentials: ${fs.existsSync(path.join(sessionDir, 'creds.json'))}`);
+
+    // Initialize in-memory store
+    if (!sessionStores.has(sessionName)) {
+        logger.info(`Initializing in-memory store for session: ${sessionName}`);
+        const store = createInMemoryStore({ logger });
+
+        // Try to read from file if exists
+        const storePath = path.join(sessionDir, 'baileys_store.json');
+        if (fs.existsSync(storePath)) {
+            try {
+                store.readFromFile(storePath);
+                logger.info(`Loaded store from file for session: ${sessionName}`);
+            } catch (err) {
+                logger.error(`Failed to load store from file: ${err.message}`);
+            }
+        }
+
+        // Save to file every 10 seconds
+        setInterval(() => {
+            try {
+                store.writeToFile(storePath);
+            } catch (err) {
+                // Ignore write errors
+            }
+        }, 10_000);
+
+        sessionStores.set(sessionName, store);
+    }
+
+    const store = sessionStores.get(sessionName);
+
+    const sock = makeWASocket({
+        version,
+        logger,
+        printQRInTerminal: true, // Enable QR code in terminal
+        auth: state,
+        browser: ['WhatsApp Bulk', 'Chrome', '1.0.0'],
+        syncFullHistory: true, // ✅ CRITICAL: Enable full message history sync
+        generateHighQualityLinkPreview: true, // Enable link previews
+        // Sending to groups needs their participant list - serve it from our cache instead of a query per send
+        cachedGroupMetadata: async (jid) => {
+            try {
+                return await getGroupMetadata(sessionName, sock, jid);
+            } catch (err) {
+                logger.warn(`Could not load metadata of group ${jid}: ${err.message}`);
+                return undefined; // Baileys queries it itself
+            }
+        },
+        getMessage: async (key) => {
+            // Return message from store if available (according to Baileys docs)
+            if (key && key.remoteJid) {
+                const found = findStoredMessage(sessionName, key.id, key.remoteJid);
+                if (found) {
+                    return found.message;
+                }
+            }
+            // Fallback: return placeholder
+            return {
+                conversation: 'Message'
+            };
+        }
+    });
+
+    // Events from sockets replaced since (forceNew, manual restart) are ignored by the connection handler
+    info.socket = sock;
+
+    // Remember when each event type last arrived (diagnostics)
+    for (const eventName of TRACKED_SOCKET_EVENTS) {
+        sock.ev.on(eventName, () => {
+            const lastEvent = info.lastEvents[eventName] || { at: null, count: 0 };
+            lastEvent.at = new Date().toISOString();
+            lastEvent.count++;
+            info.lastEvents[eventName] = lastEvent;
+        });
+    }
+
+    // Bind store to socket events
+    store.bind(sock.ev);
+    sock.store = store; // Attach store to socket for API access
+
+    // Listen for contacts sync
+    sock.ev.on('contacts.upsert', (contacts) => {
+        logger.info(`📇 Contacts upsert: ${contacts.length} contacts`);
+        // Contacts are automatically stored in sock.store.contacts via store.bind
+    });
+
+    sock.ev.on('contacts.update', (updates) => {
+        logger.info(`📇 Contacts updated: ${updates.length} contacts`);
+    });
+
+    // Log when contacts are ready
+    setTimeout(() => {
+        if (sock.store && sock.store.contacts) {
+            const contacts = sock.store.contacts;
+            const contactCount = contacts instanceof Map ? contacts.size : Object.keys(contacts).length;
+            logger.info(`📇 Contact store has ${contactCount} contacts`);
+
+            // Log sample contacts
+            if (contacts instanceof Map) {
+                for (const [id, contact] of Array.from(contacts.entries()).slice(0, 5)) {
+                    logger.info(`Contact: ${id} => ${contact.name || contact.notify || contact.pushName || 'No name'}`);
+                }
+            } else {
+                const keys = Object.keys(contacts).slice(0, 5);
+                for (const key of keys) {
+                    const contact = contacts[key];
+                    logger.info(`Contact: ${key} => ${contact.name || contact.notify || contact.pushName || 'No name'}`);
+                }
+            }
+        }
+    }, 5000);
+
+    // Save credentials whenever they update
+    sock.ev.on('creds.update', async () => {
+        try {
+            await saveCreds();
+            logger.info(`✓ Credentials saved for session: ${sessionName}`);
+        } catch (err) {
+            logger.error(`Error saving credentials: ${err.message}`);
+        }
+    });
+
+    sock.ev.on('connection.update', async (update) => {
+        const { connection, lastDisconnect, qr, isNewLogin, isOnline } = update;
+
+        // Log all connection updates for debugging
+        logger.info(`Session ${sessionName} - connection: ${connection}, hasQR: ${!!qr}, isNewLogin: ${isNewLogin}, isOnline: ${isOnline}`);
+
+        if (getSessionInfo(sessionName).socket !== sock) {
+            logger.info(`Session ${sessionName} - ignoring connection update from a replaced socket`);
+            return;
+        }
+
+        // Handle QR code - according to Baileys docs, QR is emitted when connection === "connecting" or when qr is present
+        if (qr) {
+            try {
+                logger.info(`QR code received for session: ${sessionName}`);
+                logger.info(`QR code length: ${qr.length} characters`);
+
+                // Generate QR code image
+                const qrImage = await QRCode.toDataURL(qr, {
+                    errorCorrectionLevel: 'M',
+                    type: 'image/png',
+                    quality: 0.92,
+                    margin: 1,
+                    width: 300
+                });
+
+                const base64QR = qrImage.split(',')[1]; // Store base64 without data URL prefix
+                qrCodes.set(sessionName, base64QR);
+                // QR keeps refreshing while a pairing code is pending - the session is still waiting for the code
+                if (getSessionInfo(sessionName).state === 'connecting') {
+                    recordConnectionEvent(sessionName, 'qr');
+                }
+                setSessionState(sessionName, pairingCodes.has(sessionName) ? 'pairing' : 'qr');
+                logger.info(`✓ QR code generated and stored for session: ${sessionName}`);
+                emitWebhookEvent(sessionName, 'qr', { qr, base64: base64QR });
+                publishStreamEvent(sessionName, 'qr', { qr, base64: base64QR });
+
+                // Also log QR to terminal for visibility
+                console.log(`\n=== QR CODE FOR ${sessionName} ===`);
+                console.log(qr);
+                console.log(`=== END QR CODE ===\n`);
+            } catch (err) {
+                logger.error('Error generating QR code:', err);
+                logger.error('Error stack:', err.stack);
+            }
+        }
+
+        // Handle connection states
+        if (connection === 'connecting') {
+            logger.info(`Session ${sessionName} is connecting...`);
+            // Store socket even during connecting to keep it alive
+            if (!sockets.has(sessionName)) {
+                sockets.set(sessionName, sock);
+            }
+        } else if (connection === 'close') {
+            const statusCode = lastDisconnect?.error?.output?.statusCode;
+            const reason = lastDisconnect?.error?.message || null;
+            const info = getSessionInfo(sessionName);
+            // badSession gives up after its own run of closes - other drops don't use up its attempts
+            info.badSessionCloses = statusCode === DisconnectReason.badSession ? info.badSessionCloses + 1 : 0;
+            const decision = decideReconnect(statusCode, info.reconnectAttempts, info.badSessionCloses);
+
+            logger.info(`Session ${sessionName} disconnected. Status code: ${statusCode} (${decision.reason})`);
+            logger.info(`Reconnect decision: ${decision.action}${decision.delayMs !== null ? ` in ${decision.delayMs}ms` : ''}`);
+
+            sockets.delete(sessionName);
+            qrCodes.delete(sessionName);
+            pairingCodes.delete(sessionName); // A new socket needs a new code
+            // Chats (and their unread counts) are kept: after a reconnect only chats.update deltas arrive
+            info.socket = null;
+            info.connectedSince = null;
+            info.lastDisconnect = {
+                statusCode: statusCode || null,
+                reason,
+                action: decision.action,
+                at: new Date().toISOString()
+            };
+            recordConnectionEvent(sessionName, 'close', {
+                statusCode: statusCode || null,
+                reason: decision.reason,
+                error: reason,
+                action: decision.action,
+                delayMs: decision.delayMs
+            });
+
+            const willReconnect = decision.action === 'retry';
+            emitWebhookEvent(sessionName, statusCode === DisconnectReason.loggedOut ? 'logged_out' : 'disconnected', {
+                statusCode: statusCode || null,
+                reason,
+                action: decision.action,
+                willReconnect
+            });
+
+            if (willReconnect) {
+                setSessionState(sessionName, 'reconnecting');
+                info.reconnectCount++;
+                if (statusCode !== DisconnectReason.restartRequired) {
+                    info.reconnectAttempts++;
+                }
+                info.nextReconnectAt = new Date(Date.now() + decision.delayMs).toISOString();
+                logger.info(`Reconnecting session ${sessionName} in ${decision.delayMs}ms (attempt ${info.reconnectAttempts})...`);
+                info.reconnectTimer = setTimeout(() => {
+                    info.reconnectTimer = null;
+                    info.nextReconnectAt = null;
+                    startSocket(sessionName).catch(err => {
+                        logger.error(`Reconnect of ${sessionName} failed: ${err.message}`);
+                        setSessionState(sessionName, 'failed');
+                        recordConnectionEvent(sessionName, 'error', { error: err.message });
+                    });
+                }, decision.delayMs);
+            } else if (decision.action === 'wipe') {
+                logger.info(`Session ${sessionName} credentials are no longer valid - deleting them (a new login is required)`);
+                try {
+                    clearSessionFiles(sessionName);
+                } catch (err) {
+                    logger.error(`Error deleting credentials of ${sessionName}: ${err.message}`);
+                }
+                setSessionState(sessionName, 'logged_out');
+            } else {
+                logger.info(`Session ${sessionName} not reconnecting (${decision.reason})`);
+                setSessionState(sessionName, 'failed');
+            }
+        } else if (connection === 'open') {
+            logger.info(`✓ Session ${sessionName} connected successfully`);
+            logger.info(`User ID: ${sock.user?.id || 'N/A'}`);
+            logger.info(`Phone number: ${sock.user?.id?.split(':')[0] || 'N/A'}`);
+
+            // Ensure socket is stored
+            sockets.set(sessionName, sock);
+            qrCodes.delete(sessionName); // Clear QR as we're connected
+            pairingCodes.delete(sessionName);
+            const openInfo = setSessionState(sessionName, 'connected');
+            openInfo.connectedSince = new Date().toISOString();
+            openInfo.reconnectAttempts = 0;
+            openInfo.badSessionCloses = 0;
+            recordConnectionEvent(sessionName, 'open', { jid: sock.user?.id || null });
+            // Resume any running bulk campaigns
+            runCampaigns(sessionName);
+
+            // Fill the group metadata cache with one query (events may have been missed while offline).
+            // The groups arrive through groups.update.
+            sock.groupFetchAllParticipating().then(groups => {
+                logger.info(`👥 Cached metadata of ${Object.keys(groups).length} group(s) for ${sessionName}`);
+            }).catch(err => {
+                logger.warn(`Could not fetch groups of ${sessionName}: ${err.message}`);
+            });
+
+            emitWebhookEvent(sessionName, 'connected', {
+                jid: sock.user?.id || null,
+                phone: sock.user?.id?.split(':')[0] || null,
+                name: sock.user?.name || null
+            });
+
+            // Force save credentials one more time after connection
+            try {
+                await saveCreds();
+                logger.info(`✓ Final credentials save after connection for session: ${sessionName}`);
+            } catch (err) {
+                logger.error(`Error in final credentials save: ${err.message}`);
+            }
+        }
+    });
+
+    // Listen for chat updates - this is how Baileys provides chats
+    sock.ev.on('chats.update', async (chats) => {
+        logger.info(`📱 Chats update event for ${sessionName}: ${chats.length} chats`);
+        for (const chat of chats) {
+            if (chat.id) {
+                const updated = applyChatUpdate(sessionName, chat);
+                logger.info(`  - Updated chat: ${chat.id} (${updated.name || updated.subject || 'Unknown'})`);
+            }
+        }
+    });
+
+    // Chats deleted on another device
+    sock.ev.on('chats.delete', async (jids) => {
+        const chatMap = sessionChats.get(sessionName);
+        for (const jid of jids) {
+            chatMap?.delete(jid);
+            clearChatMessages(sessionName, jid);
+            logger.info(`🗑️ Chat ${jid} deleted (${sessionName})`);
+        }
+    });
+
+    // Listen for messaging history set - initial chat load
+    sock.ev.on('messaging-history.set', async (history) => {
+        logger.info(`📚 Messaging history set for ${sessionName}`);
+
+        // Ensure chat store exists
+        if (!sessionChats.has(sessionName)) {
+            sessionChats.set(sessionName, new Map());
+        }
+
+        const chatMap = sessionChats.get(sessionName);
+
+        // Store chats and extract messages from chats
+        let totalMessagesStored = 0;
+        if (history.chats) {
+            logger.info(`  - Loading ${history.chats.length} chats from history`);
+            for (const chat of history.chats) {
+                if (chat.id) {
+                    chatMap.set(chat.id, chat);
+
+                    // ✅ Extract messages from chat.messages or chat.raw.messages
+                    const chatMessages = chat.messages || chat.raw?.messages || [];
+                    if (chatMessages.length > 0) {
+                        logger.info(`    - Found ${chatMessages.length} messages in chat ${chat.id}`);
+
+                        for (const msgWrapper of chatMessages) {
+                            // Handle nested structure: msgWrapper.message or just msgWrapper
+                            const msg = msgWrapper.message || msgWrapper;
+
+                            if (!msg || !msg.key) continue;
+
+                            if (!msg.key.remoteJid) {
+                                msg.key.remoteJid = chat.id;
+                            }
+
+                            if (storeMessage(sessionName, msg)) {
+                                totalMessagesStored++;
+                                logger.debug(`      - Stored message ${msg.key.id} for chat ${msg.key.remoteJid}`);
+                            } else {
+                                logger.debug(`      - Skipped duplicate message ${msg.key.id} for chat ${msg.key.remoteJid}`);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        // ✅ Also check history.messages (if messages are at root level)
+        if (history.messages) {
+            logger.info(`  - Loading ${history.messages.length} messages from history.messages`);
+            for (const msg of history.messages) {
+                if (storeMessage(sessionName, msg)) {
+                    totalMessagesStored++;
+                }
+            }
+        }
+
+        if (totalMessagesStored > 0) {
+            logger.info(`  ✓ Stored ${totalMessagesStored} messages from history (from chats + root messages)`);
+        }
+    });
+
+    // Store messages as they come in (according to Baileys docs)
+    sock.ev.on('messages.upsert', async (m) => {
+        const { messages, type } = m;
+
+        if (!messages || messages.length === 0) return;
+
+        logger.info(`📨 Received ${messages.length} message(s) via messages.upsert (type: ${type})`);
+
+        for (const message of messages) {
+            // Store message by chat JID
+            if (message.key && message.key.remoteJid) {
+                const chatId = message.key.remoteJid;
+
+                // Store message (duplicates are skipped)
+                if (storeMessage(sessionName, message)) {
+                    logger.debug(`  - Stored message ${message.key.id} for chat ${chatId}`);
+                }
+
+                // Also capture chat info from messages
+                if (!sessionChats.has(sessionName)) {
+                    sessionChats.set(sessionName, new Map());
+                }
+                const chatMap = sessionChats.get(sessionName);
+
+                // If chat doesn't exist, create a basic entry
+                if (!chatMap.has(chatId)) {
+                    chatMap.set(chatId, {
+                        id: chatId,
+                        name: chatId.split('@')[0],
+                        conversationTimestamp: message.messageTimestamp
+                    });
+                }
+            }
+
+            // Notify webhooks about new messages (history sync goes through messaging-history.set instead)
+            if (message.key && (type === 'notify' || type === 'append')) {
+                const webhookMessage = toWebhookMessage(message);
+                emitWebhookEvent(sessionName, 'message', webhookMessage);
+                publishStreamEvent(sessionName, 'message', webhookMessage);
+            }
+
+            // Capture real phone numbers from messages (senderPn workaround)
+            if (message.key && message.key.senderPn) {
+                const senderId = message.key.remoteJid;
+                const realPhone = message.key.senderPn;
+                logger.debug(`Received message from ${senderId} with real phone: ${realPhone}`);
+            }
+        }
+    });
+
+    // Track message delivery status (recorded on the stored message, see /message-status/:messageId)
+    sock.ev.on('messages.update', async (updates) => {
+        for (const update of updates) {
+            const key = update.key;
+            const status = update.update?.status;
+
+            if (!key || !key.remoteJid || status === undefined || status === null) continue;
+
+            const jid = key.remoteJid;
+            const messageId = key.id;
+            const statusText = MESSAGE_STATUS_NAMES[status] || `unknown (${status})`;
+            logger.info(`📨 Message ${messageId} to ${jid} - Status: ${statusText}`);
+
+            // If delivered, log success
+            if (status === 3) {
+                logger.info(`✅ Message ${messageId} successfully delivered to ${jid}`);
+            } else if (status === 4) {
+                logger.info(`✅✅ Message ${messageId} read by ${jid}`);
+            }
+
+            recordMessageStatus(sessionName, key, status);
+
+            // Incoming messages reported read were read on another of our devices
+            if (!key.fromMe && status >= proto.WebMessageInfo.Status.READ) {
+                const msg = findStoredMessage(sessionName, messageId, jid);
+                if (msg) {
+                    markChatReadUpTo(sessionName, msg);
+                }
+            }
+
+            const statusEvent = {
+                id: messageId,
+                chatJid: jid,
+                fromMe: key.fromMe || false,
+                participant: null,
+                status: MESSAGE_STATUS_NAMES[status] || String(status),
+                statusCode: status,
+                timestamp: new Date().toISOString()
+            };
+            emitWebhookEvent(sessionName, 'message.status', statusEvent);
+            publishStreamEvent(sessionName, 'message.status', statusEvent);
+        }
+    });
+
+    // Track per-participant receipts (groups send one receipt per member)
+    sock.ev.on('message-receipt.update', async (updates) => {
+        for (const { key, receipt } of updates) {
+            if (!key || !receipt || !receipt.userJid) continue;
+
+            // In groups, our other devices report reading incoming messages as a receipt
+            if (!key.fromMe && receipt.readTimestamp) {
+                const msg = findStoredMessage(sessionName, key.id, key.remoteJid);
+                if (msg) {
+                    markChatReadUpTo(sessionName, msg);
+                }
+            }
+
+            const entry = recordMessageReceipt(sessionName, key, receipt);
+            logger.info(`📨 Receipt for message ${key.id} in ${key.remoteJid} from ${receipt.userJid}: ${entry ? entry.status : 'message not stored'}`);
+
+            if (entry) {
+                const statusEvent = {
+                    id: key.id,
+                    chatJid: key.remoteJid,
+                    fromMe: key.fromMe || false,
+                    participant: receipt.userJid,
+                    status: entry.status,
+                    statusCode: entry.statusCode,
+                    timestamp: new Date().toISOString()
+                };
+                emitWebhookEvent(sessionName, 'message.status', statusEvent);
+                publishStreamEvent(sessionName, 'message.status', statusEvent);
+            }
+        }
+    });
+
+    // Presence of contacts (only arrives for chats subscribed with sock.presenceSubscribe)
+    sock.ev.on('presence.update', ({ id, presences }) => {
+        publishStreamEvent(sessionName, 'presence', { chatJid: id, presences });
+    });
+
+    // Group subject/settings changes and participant changes
+    sock.ev.on('groups.update', (updates) => {
+        const cache = getGroupCache(sessionName);
+        for (const update of updates) {
+            // groupFetchAllParticipating emits the full metadata of every group through here - cache it,
+            // but only stream actual changes
+            if (Array.isArray(update.participants)) {
+                cache.set(update.id, { metadata: update, fetchedAt: Date.now() });
+                continue;
+            }
+            const cached = cache.get(update.id);
+            if (cached) {
+                Object.assign(cached.metadata, update);
+            }
+            publishStreamEvent(sessionName, 'group.update', update);
+        }
+    });
+
+    sock.ev.on('groups.upsert', (groups) => {
+        const cache = getGroupCache(sessionName);
+        for (const metadata of groups) {
+            cache.set(metadata.id, { metadata, fetchedAt: Date.now() });
+        }
+    });
+
+    sock.ev.on('group-participants.update', (event) => {
+        const { id, author, participants, action } = event;
+        applyGroupParticipantsUpdate(sessionName, event);
+        recordGroupEvent(sessionName, event);
+        logger.info(`👥 ${action} in ${id}: ${participants.length} participant(s)`);
+        publishStreamEvent(sessionName, 'group.participants', { groupJid: id, author: author || null, participants, action });
+    });
+
+    return sock;
+}
+
+// API Routes
+
+// Create an API key scoped to sessions (["*"] for all) and actions (read, send, admin).
+// The key itself is only returned here and on rotation - only its hash is stored.
+app.post('/api/keys', authorize('admin', { global: true }), (req, res) => {
+    const { name, sessions = ['*'], scopes = ['read'] } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    const accessError = validateApiKeyAccess(sessions, scopes);
+    if (accessError) {
+        return res.status(400).json({ error: accessError });
+    }
+
+    const key = generateApiKey();
+    const apiKey = {
+        id: crypto.randomUUID(),
+        name,
+        prefix: key.substring(0, 10),
+        hash: hashApiKey(key),
+        sessions,
+        scopes,
+        createdAt: new Date().toISOString(),
+        createdBy: getRequester(req),
+        rotatedAt: null,
+        revokedAt: null,
+        lastUsedAt: null
+    };
+
+    getApiKeys().push(apiKey);
+    saveApiKeys();
+    logger.info(`🔑 API key "${name}" (${apiKey.id}) created for sessions [${sessions.join(', ')}] with scopes [${scopes.join(', ')}]`);
+
+    res.json({ success: true, key, apiKey: toPublicApiKey(apiKey) });
+});
+
+// List API keys (without secrets)
+app.get('/api/keys', authorize('admin', { global: true }), (req, res) => {
+    const keys = getApiKeys().map(toPublicApiKey);
+    res.json({ success: true, keys, total: keys.length });
+});
+
+// Rotate an API key: issues a new secret, the old one stops working immediately
+app.post('/api/keys/:keyId/rotate', authorize('admin', { global: true }), (req, res) => {
+    const apiKey = getApiKeys().find(k => k.id === req.params.keyId);
+    if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+        return res.status(400).json({ error: 'API key is revoked' });
+    }
+
+    const key = generateApiKey();
+    apiKey.prefix = key.substring(0, 10);
+    apiKey.hash = hashApiKey(key);
+    apiKey.rotatedAt = new Date().toISOString();
+    saveApiKeys();
+    logger.info(`🔑 API key "${apiKey.name}" (${apiKey.id}) rotated by "${req.apiKey.name}"`);
+
+    res.json({ success: true, key, apiKey: toPublicApiKey(apiKey) });
+});
+
+// Revoke an API key (kept in the list for auditing)
+app.delete('/api/keys/:keyId', authorize('admin', { global: true }), (req, res) => {
+    const apiKey = getApiKeys().find(k => k.id === req.params.keyId);
+    if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+        apiKey.revokedAt = new Date().toISOString();
+        saveApiKeys();
+        logger.info(`🔑 API key "${apiKey.name}" (${apiKey.id}) revoked by "${req.apiKey.name}"`);
+    }
+
+    res.json({ success: true, apiKey: toPublicApiKey(apiKey) });
+});
+
+// Start a new session
+app.post('/api/:session/start-session', authorize('admin'), async (req, res) => {
+    const sessionName = req.params.session;
+    const forceNew = req.query.force === 'true' || req.body.force === true;
+
+    // Validate session name
+    if (!/^[a-zA-Z0-9_-]+$/.test(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    try {
+        // If socket already exists and is connected, return success
+        if (isSessionConnected(sessionName) && !forceNew) {
+            return res.json({ success: true, message: 'Session already connected' });
+        }
+
+        // Start new socket (will generate QR if needed)
+        logger.info(`Starting new session: ${sessionName} (forceNew: ${forceNew})`);
+        await startSocket(sessionName, forceNew);
+
+        // Give it a moment to initialize and potentially generate QR
+        await new Promise(resolve => setTimeout(resolve, 2000));
+
+        res.json({ success: true, message: 'Session started. QR code will be available shortly.' });
+    } catch (error) {
+        logger.error('Error starting session:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get QR code
+app.get('/api/:session/qrcode-session', authorize('admin'), async (req, res) => {
+    const sessionName = req.params.session;
+    const forceNew = req.query.force === 'true';
+
+    // Check if already connected
+    if (isSessionConnected(sessionName) && !forceNew) {
+        return res.json({ qrcode: null, connected: true, message: 'Session already connected' });
+    }
+
+    // Check if there's a completed login (no QR needed unless forced); a pending pairing code still gets a QR
+    if (checkSessionCredentials(sessionName).valid && !forceNew) {
+        return res.json({
+            qrcode: null,
+            message: 'Session has existing credentials. Use ?force=true to generate new QR code.',
+            needsForce: true
+        });
+    }
+
+    // If socket doesn't exist or forcing new, start it
+    if (forceNew || !sockets.has(sessionName)) {
+        try {
+            logger.info(`Starting socket for QR code generation: ${sessionName} (forceNew: ${forceNew})`);
             await startSocket(sessionName, forceNew);
 
-            // Wait for QR code to generate (poll up to 20 seconds)
-            let attempts = 0;
-            const maxAttempts = 40; // 20 seconds total
-            while (!qrCodes.has(sessionName) && attempts < maxAttempts) {
-                await new Promise(resolve => setTimeout(resolve, 500));
-                attempts++;
+            // Wait for QR code to generate (poll up to 20 seconds)
+            let attempts = 0;
+            const maxAttempts = 40; // 20 seconds total
+            while (!qrCodes.has(sessionName) && attempts < maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, 500));
+                attempts++;
+
+                // Log progress every 5 attempts
+                if (attempts % 10 === 0) {
+                    logger.info(`Waiting for QR code... (${attempts}/${maxAttempts})`);
+                }
+            }
+        } catch (error) {
+            logger.error(`Error starting socket for QR: ${error.message}`);
+            return res.status(500).json({ error: error.message });
+        }
+    }
+
+    const qrcode = qrCodes.get(sessionName);
+
+    if (qrcode) {
+        logger.info(`Returning QR code for session: ${sessionName}`);
+        res.json({ qrcode: { base64: qrcode } });
+    } else {
+        logger.warn(`QR code not available for session: ${sessionName}`);
+        res.json({
+            qrcode: null,
+            message: 'QR code not available yet. The socket may still be initializing. Please wait a few seconds and refresh.',
+            retry: true
+        });
+    }
+});
+
+// Stream session events as Server-Sent Events: qr, connection, message, message.status, presence,
+// group.update and group.participants (qr only for keys with the admin scope). Optional ?events=message,qr filter.
+// A client reconnecting with the Last-Event-ID header (or ?lastEventId=) gets the events it missed; if they are
+// gone it gets a "resync" event and should reload the state over the REST API. The session must be started first.
+app.get('/api/:session/events', authorize('read'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    // Don't register a session (or keep a stream buffer) for names that were never started
+    if (!isKnownSession(sessionName)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    let events = null;
+    if (req.query.events) {
+        events = String(req.query.events).split(',').map(e => e.trim()).filter(Boolean);
+        const invalid = events.filter(e => !STREAM_EVENTS.includes(e));
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: `Invalid events: ${invalid.join(', ')}. Valid events: ${STREAM_EVENTS.join(', ')}` });
+        }
+    }
+
+    const client = { res, events, canSeeQr: req.apiKey.scopes.includes('admin') };
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+    const missed = lastEventId ? getStreamEventsAfter(sessionName, String(lastEventId)) : null;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: 3000\n\n`);
+
+    const stream = getSessionStream(sessionName);
+    const now = new Date().toISOString();
+    if (missed) {
+        for (const entry of missed) {
+            if (isStreamEventWanted(client, entry.event)) {
+                writeStreamEvent(res, entry);
+            }
+        }
+    } else {
+        if (lastEventId) {
+            writeStreamEvent(res, {
+                event: 'resync',
+                session: sessionName,
+                timestamp: now,
+                data: { reason: `Events after ${lastEventId} are no longer available` }
+            });
+        }
+
+        // Current state, so the client doesn't need to poll status-session/qrcode-session first
+        const info = sessionInfo.get(sessionName) || createSessionInfo();
+        const qrCode = qrCodes.get(sessionName);
+        writeStreamEvent(res, {
+            event: 'snapshot',
+            session: sessionName,
+            timestamp: now,
+            data: {
+                state: info.state,
+                since: info.stateSince,
+                lastDisconnect: info.lastDisconnect,
+                ...(client.canSeeQr && { qr: qrCode || null }),
+                lastEventId: stream.lastSeq > 0 ? `${STREAM_EPOCH}-${stream.lastSeq}` : null
+            }
+        });
+    }
+
+    stream.clients.add(client);
+    logger.info(`📡 Event stream opened for ${sessionName} (${stream.clients.size} client(s))${missed ? `, replayed ${missed.length} event(s)` : ''}`);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        stream.clients.delete(client);
+        logger.info(`📡 Event stream closed for ${sessionName} (${stream.clients.size} client(s))`);
+    });
+});
+
+// Full session diagnostics (admin only): socket state, store sizes, recent events, reconnects and credential health
+app.get('/api/:session/diagnostics/full', authorize('admin'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const sessionDir = getSessionDir(sessionName);
+    const sock = sockets.get(sessionName);
+    // Not getSessionInfo - diagnosing an unknown name must not register it as a session
+    const info = sessionInfo.get(sessionName) || createSessionInfo();
+    const store = sessionStores.get(sessionName);
+
+    const sizeOf = (collection) => {
+        if (!collection) return null;
+        return collection instanceof Map ? collection.size : Object.keys(collection).length;
+    };
+
+    const messageStore = sessionMessages.get(sessionName);
+    let storedMessages = null;
+    if (messageStore) {
+        storedMessages = 0;
+        for (const chatMessages of messageStore.values()) {
+            storedMessages += chatMessages.length;
+        }
+    }
+
+    const qrCode = qrCodes.get(sessionName);
+
+    res.json({
+        sessionName,
+        sessionDir,
+        exists: fs.existsSync(sessionDir),
+        files: fs.existsSync(sessionDir) ? fs.readdirSync(sessionDir) : [],
+        socket: {
+            hasSocket: !!sock,
+            isCurrent: !!sock && info.socket === sock,
+            state: info.state,
+            stateSince: info.stateSince,
+            connectedSince: info.connectedSince,
+            phoneNumber: sock?.user?.id || null,
+            wsReadyState: sock?.ws?.readyState !== undefined ? sock.ws.readyState : null,
+            hasQRCode: !!qrCode,
+            qrCodeLength: qrCode ? qrCode.length : null,
+            pairingCodePending: pairingCodes.has(sessionName)
+        },
+        reconnect: {
+            reconnectCount: info.reconnectCount,
+            reconnectAttempts: info.reconnectAttempts,
+            nextReconnectAt: info.nextReconnectAt,
+            lastDisconnect: info.lastDisconnect,
+            history: info.history
+        },
+        stores: {
+            chats: sessionChats.get(sessionName)?.size || 0,
+            messageChats: messageStore ? messageStore.size : null,
+            messages: storedMessages,
+            contacts: sizeOf(store?.contacts),
+            groupMetadata: sessionGroupMetadata.get(sessionName)?.size || 0,
+            webhooks: getWebhooks(sessionName).length,
+            pendingMessageWrites: pendingMessageWrites.size
+        },
+        lastEvents: info.lastEvents,
+        credentials: getCredentialHealth(sessionName)
+    });
+});
+
+// Get a pairing code to link the session by phone number instead of scanning a QR code
+app.post('/api/:session/pairing-code', authorize('admin'), async (req, res) => {
+    const sessionName = req.params.session;
+    const forceNew = req.query.force === 'true' || req.body.force === true;
+
+    // Validate session name
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const normalized = normalizePhone(req.body.phone || req.query.phone || '');
+    if (normalized.error) {
+        return res.status(normalized.status).json({ error: normalized.error });
+    }
+    const phone = normalized.phone;
+
+    // Check if already connected
+    const existingSock = sockets.get(sessionName);
+    if (isSessionConnected(sessionName, existingSock) && !forceNew) {
+        return res.json({ pairingCode: null, connected: true, message: 'Session already connected' });
+    }
+
+    // Check if there's an existing auth state (no pairing needed unless forced)
+    if (checkSessionCredentials(sessionName).valid && !forceNew) {
+        return res.json({
+            pairingCode: null,
+            message: 'Session has existing credentials. Use ?force=true to pair again.',
+            needsForce: true
+        });
+    }
+
+    // Reuse a code that is still valid for the same phone
+    const pending = pairingCodes.get(sessionName);
+    if (pending && pending.phone === phone && !forceNew && sockets.has(sessionName) &&
+        Date.now() - new Date(pending.createdAt).getTime() < PAIRING_CODE_TTL_MS) {
+        return res.json({
+            pairingCode: pending.code,
+            phone,
+            expiresAt: new Date(new Date(pending.createdAt).getTime() + PAIRING_CODE_TTL_MS).toISOString()
+        });
+    }
+
+    try {
+        let sock = sockets.get(sessionName);
+        if (forceNew || !sock) {
+            logger.info(`Starting socket for pairing code: ${sessionName} (forceNew: ${forceNew})`);
+            sock = await startSocket(sessionName, forceNew);
+        }
+
+        // The socket is ready for login once it emits its first QR (poll up to 20 seconds)
+        let attempts = 0;
+        const maxAttempts = 40;
+        while (!qrCodes.has(sessionName) && attempts < maxAttempts) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+            attempts++;
+        }
+        if (!qrCodes.has(sessionName)) {
+            return res.json({
+                pairingCode: null,
+                message: 'Socket is not ready for login yet. Please wait a few seconds and retry.',
+                retry: true
+            });
+        }
+
+        const rawCode = await sock.requestPairingCode(phone);
+        const code = rawCode && rawCode.length === 8 ? `${rawCode.slice(0, 4)}-${rawCode.slice(4)}` : rawCode;
+        const createdAt = new Date().toISOString();
+        pairingCodes.set(sessionName, { code, phone, createdAt });
+        setSessionState(sessionName, 'pairing');
+        logger.info(`✓ Pairing code generated for session ${sessionName} (phone: ${phone})`);
+
+        res.json({
+            pairingCode: code,
+            phone,
+            expiresAt: new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString(),
+            message: 'On the phone open WhatsApp > Linked devices > Link a device > Link with phone number instead, and enter this code.'
+        });
+    } catch (error) {
+        logger.error(`Error requesting pairing code: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get session status
+app.get('/api/:session/status-session', authorize('read'), async (req, res) => {
+    const sessionName = req.params.session;
+    const sock = sockets.get(sessionName);
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    // Reconnect state and recent connection history (?historyLimit=, newest last).
+    // Looked up without getSessionInfo so checking an unknown name doesn't register it as a session.
+    const info = sessionInfo.get(sessionName);
+    const historyLimit = Math.min(CONNECTION_HISTORY_LIMIT, parseInt(req.query.historyLimit) || 10);
+    const connection = {
+        state: info?.state || 'disconnected',
+        reconnectAttempts: info?.reconnectAttempts || 0,
+        nextReconnectAt: info?.nextReconnectAt || null,
+        lastDisconnect: info?.lastDisconnect || null,
+        history: info ? info.history.slice(-historyLimit) : []
+    };
+
+    if (isSessionConnected(sessionName, sock)) {
+        const phoneNumber = sock.user.id.split(':')[0];
+        logger.info(`Status check for ${sessionName}: CONNECTED (${phoneNumber})`);
+        res.json({
+            status: 'CONNECTED',
+            connected: true,
+            phone: phoneNumber,
+            connection
+        });
+    } else {
+        // Check if socket exists but not fully connected yet
+        if (sock) {
+            // Login pending: waiting for the QR to be scanned or the pairing code to be entered
+            const pairing = pairingCodes.get(sessionName);
+            const waitingFor = pairing ? 'pairing_code' : qrCodes.has(sessionName) ? 'qr' : null;
+            logger.info(`Status check for ${sessionName}: connecting (socket not open yet${waitingFor ? `, waiting for ${waitingFor}` : ''})`);
+            res.json({
+                status: 'connecting',
+                connected: false,
+                waitingFor,
+                pairingCode: pairing ? pairing.code : undefined,
+                connection
+            });
+        } else if (qrCodes.has(sessionName)) {
+            logger.info(`Status check for ${sessionName}: connecting (QR code exists)`);
+            res.json({
+                status: 'connecting',
+                connected: false,
+                connection
+            });
+        } else {
+            // Reconnect timer pending or boot-time restore not done yet
+            const state = connection.state;
+            const restore = restoreState.sessions[sessionName];
+            const credsPath = path.join(getSessionDir(sessionName), 'creds.json');
+            if (state === 'reconnecting' || (restore && (restore.status === 'pending' || restore.status === 'restoring'))) {
+                logger.info(`Status check for ${sessionName}: connecting (${state === 'reconnecting' ? 'reconnect scheduled' : 'restore in progress'})`);
+                res.json({
+                    status: 'connecting',
+                    connected: false,
+                    connection
+                });
+            } else if (fs.existsSync(credsPath)) {
+                // Saved credentials alone don't mean anything is connecting
+                logger.info(`Status check for ${sessionName}: disconnected (credentials exist, socket not running)`);
+                res.json({
+                    status: 'disconnected',
+                    connected: false,
+                    hasCredentials: true,
+                    restore: restore || null,
+                    message: 'Session has saved credentials but is not running. Call start-session to reconnect.',
+                    connection
+                });
+            } else {
+                logger.info(`Status check for ${sessionName}: disconnected`);
+                res.json({
+                    status: 'disconnected',
+                    connected: false,
+                    connection
+                });
+            }
+        }
+    }
+});
+
+// List every known session (live sockets, pending QR codes and saved session folders) with its state
+app.get('/api/sessions', authorize('read'), (req, res) => {
+    const names = new Set([...sockets.keys(), ...qrCodes.keys(), ...sessionInfo.keys()]);
+    for (const entry of fs.readdirSync(SESSIONS_DIR, { withFileTypes: true })) {
+        if (entry.isDirectory() && isValidSessionName(entry.name)) {
+            names.add(entry.name);
+        }
+    }
+
+    const sessions = Array.from(names)
+        .filter(name => canAccessSession(req.apiKey, name))
+        .sort()
+        .map(describeSession);
+
+    res.json({ success: true, sessions, total: sessions.length });
+});
+
+// Get the outcome of the boot-time restore of saved sessions
+app.get('/api/sessions/restore-status', authorize('admin'), (req, res) => {
+    const sessions = {};
+    for (const [name, result] of Object.entries(restoreState.sessions)) {
+        if (canAccessSession(req.apiKey, name)) {
+            sessions[name] = result;
+        }
+    }
+
+    res.json({ success: true, ...restoreState, sessions });
+});
+
+// Get all chats (groups)
+app.get('/api/:session/all-chats', authorize('read'), async (req, res) => {
+    const sessionName = req.params.session;
+    const sock = sockets.get(sessionName);
+
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+
+    try {
+        const chats = await sock.groupFetchAllParticipating();
+        const groups = [];
+
+        for (const [groupId, group] of Object.entries(chats)) {
+            if (groupId.endsWith('@g.us')) {
+                groups.push({
+                    id: groupId,
+                    name: group.subject || 'Unknown Group',
+                    participants: group.participants || [],
+                    description: group.desc || '',
+                    creation: group.creation || null
+                });
+            }
+        }
+
+        res.json({ groups });
+    } catch (error) {
+        logger.error('Error fetching groups:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Helper function to check whether a chat is muted (muteEndTime is a ms timestamp, -1 means muted until unmuted)
+function isChatMuted(chat) {
+    return chat.muteEndTime === -1 || chat.muteEndTime > Date.now();
+}
+
+// Chat modifications: action -> chatModify payload builder and the local chat fields it changes.
+// WhatsApp needs the last message of the chat for archive, read state, clear and delete.
+const CHAT_ACTIONS = {
+    archive: { needsLastMessages: true, modify: () => ({ archive: true }), changes: () => ({ archived: true }) },
+    unarchive: { needsLastMessages: true, modify: () => ({ archive: false }), changes: () => ({ archived: false }) },
+    pin: { modify: () => ({ pin: true }), changes: () => ({ pinned: Date.now() }) },
+    unpin: { modify: () => ({ pin: false }), changes: () => ({ pinned: null }) },
+    mute: { modify: (muteEndTime) => ({ mute: muteEndTime }), changes: (muteEndTime) => ({ muteEndTime }) },
+    unmute: { modify: () => ({ mute: null }), changes: () => ({ muteEndTime: null }) },
+    read: { needsLastMessages: true, modify: () => ({ markRead: true }), changes: () => ({ unreadCount: 0 }) },
+    unread: { needsLastMessages: true, modify: () => ({ markRead: false }), changes: () => ({ unreadCount: -1 }) },
+    clear: { needsLastMessages: true, modify: () => ({ clear: true }), changes: () => ({}) }
+};
+
+// Helper function to get the lastMessages list chatModify expects (the newest stored message of the chat)
+function getChatLastMessages(sessionName, jid) {
+    const chatMessages = getMessageStore(sessionName).get(jid) || [];
+    let last = null;
+    for (const msg of chatMessages) {
+        if (!last || getMessageTimestamp(msg) >= getMessageTimestamp(last)) {
+            last = msg;
+        }
+    }
+    return last ? [{ key: last.key, messageTimestamp: getMessageTimestamp(last) }] : [];
+}
+
+// Helper function to parse a mute duration in seconds ('forever' mutes until unmuted).
+// Returns the mute end timestamp (ms, -1 for forever) or null if invalid.
+function parseMuteDuration(duration) {
+    if (duration === 'forever') return -1;
+    const seconds = Number(duration);
+    if (!Number.isFinite(seconds) || seconds <= 0) return null;
+    return Date.now() + seconds * 1000;
+}
+
+// Helper function to apply changes to the captured chat entry right away (the socket's own chats.update follows later)
+function updateSessionChat(sessionName, jid, changes) {
+    if (!sessionChats.has(sessionName)) {
+        sessionChats.set(sessionName, new Map());
+    }
+    const chatMap = sessionChats.get(sessionName);
+    const chat = { id: jid, name: jid.split('@')[0], ...chatMap.get(jid), ...changes };
+    chatMap.set(jid, chat);
+    return chat;
+}
+
+// Helper function to parse the /chats filters and pagination from the query string.
+// Returns { filters, limit, cursor } or { error }.
+function parseChatListQuery(query) {
+    const filters = {};
+
+    if (query.type !== undefined) {
+        if (!['group', 'individual'].includes(query.type)) {
+            return { error: 'type must be group or individual' };
+        }
+        filters.type = query.type;
+    }
+    for (const flag of ['unread', 'pinned']) {
+        if (query[flag] !== undefined) {
+            if (!['true', 'false'].includes(query[flag])) {
+                return { error: `${flag} must be true or false` };
+            }
+            filters[flag] = query[flag] === 'true';
+        }
+    }
+    if (query.search) {
+        filters.search = String(query.search).toLowerCase();
+    }
+    if (query.updatedSince !== undefined) {
+        // ISO date or unix timestamp in seconds
+        const since = /^\d+$/.test(query.updatedSince) ? Number(query.updatedSince) * 1000 : Date.parse(query.updatedSince);
+        if (!Number.isFinite(since)) {
+            return { error: 'updatedSince must be an ISO date or a unix timestamp in seconds' };
+        }
+        filters.updatedSince = since;
+    }
+
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return { error: 'limit must be a positive integer' };
+        }
+        limit = Math.min(limit, MAX_CHATS_PAGE);
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        try {
+            cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString('utf-8'));
+        } catch (e) {
+            cursor = null;
+        }
+        if (!cursor || typeof cursor.id !== 'string' || typeof cursor.name !== 'string') {
+            return { error: 'Invalid cursor' };
+        }
+        limit = limit || MAX_CHATS_PAGE;
+    }
+
+    return { filters, limit, cursor };
+}
+
+// Helper function to check a formatted chat against the /chats filters
+function matchesChatFilters(chat, filters) {
+    if (filters.type && chat.type !== filters.type) return false;
+    if (filters.unread !== undefined && (chat.unreadCount > 0 || chat.markedUnread) !== filters.unread) return false;
+    if (filters.pinned !== undefined && !!chat.pinned !== filters.pinned) return false;
+    if (filters.updatedSince !== undefined && !(chat.lastMessageTime && Date.parse(chat.lastMessageTime) >= filters.updatedSince)) return false;
+    if (filters.search) {
+        // Name, or the phone number / JID the chat came from
+        const haystack = [chat.name, chat.id, chat.originalId].join(' ').toLowerCase();
+        if (!haystack.includes(filters.search)) return false;
+    }
+    return true;
+}
+
+// Order of the chat list: latest message first, chats without messages last by name (id breaks ties so cursors are stable)
+function compareChats(a, b) {
+    const timeA = a.lastMessageTime ? Date.parse(a.lastMessageTime) : null;
+    const timeB = b.lastMessageTime ? Date.parse(b.lastMessageTime) : null;
+    if (timeA !== timeB) {
+        if (timeA === null) return 1;
+        if (timeB === null) return -1;
+        return timeB - timeA;
+    }
+    return a.name.localeCompare(b.name) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+// Helper function to create the cursor for the chats after this one
+function encodeChatCursor(chat) {
+    return Buffer.from(JSON.stringify({ lastMessageTime: chat.lastMessageTime, name: chat.name, id: chat.id })).toString('base64url');
+}
+
+// Get all chats (individual + groups) - Using sock.chats directly as per Baileys docs
+// Filters: ?type=group|individual, ?unread=true, ?pinned=true, ?search= (name/phone), ?updatedSince= (ISO or unix seconds)
+// Pagination: ?limit= and ?cursor= (nextCursor of the previous page). ?lean=true omits raw chat data and debug info.
+app.get('/api/:session/chats', authorize('read'), async (req, res) => {
+    const sessionName = req.params.session;
+    const lean = req.query.lean === 'true';
+    const sock = sockets.get(sessionName);
+
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+
+    const listQuery = parseChatListQuery(req.query);
+    if (listQuery.error) {
+        return res.status(400).json({ error: listQuery.error });
+    }
+
+    try {
+        // Debug: Log all available properties on sock
+        logger.info(`=== DEBUG: Checking chats for ${sessionName} ===`);
+
+        let chats = [];
+        let chatSource = 'none';
+
+        // Method 1: Get chats from event-captured storage (most reliable)
+        if (sessionChats.has(sessionName)) {
+            const chatMap = sessionChats.get(sessionName);
+            chats = Array.from(chatMap.values());
+            chatSource = 'event-captured';
+            logger.info(`Method 1: Found ${chats.length} chats from event listeners`);
+        }
+
+        // Method 2: Try sock.chats directly (per Baileys docs)
+        if (chats.length === 0 && sock.chats) {
+            logger.info(`Method 2: Found sock.chats, type: ${typeof sock.chats}`);
+            if (typeof sock.chats === 'object') {
+                chats = Object.values(sock.chats);
+                chatSource = 'sock.chats';
+                logger.info(`Found ${chats.length} chats from sock.chats`);
+            }
+        }
+
+        // Method 3: Try sock.store.chats (Map or object)
+        if (chats.length === 0 && sock.store && sock.store.chats) {
+            logger.info(`Method 3: Found sock.store.chats`);
+            const storeChats = sock.store.chats;
+
+            if (storeChats instanceof Map) {
+                chats = Array.from(storeChats.values());
+                chatSource = 'store.chats (Map)';
+            } else if (typeof storeChats === 'object' && storeChats !== null) {
+                chats = Object.values(storeChats);
+                chatSource = 'store.chats (object)';
+            }
+            logger.info(`Found ${chats.length} chats from store.chats`);
+        }
+
+        // Method 4: Try to fetch groups separately (fallback)
+        if (chats.length === 0) {
+            logger.info(`Method 4: Trying to fetch groups separately`);
+            try {
+                const groups = await sock.groupFetchAllParticipating();
+                logger.info(`Fetched ${Object.keys(groups).length} groups`);
+
+                // Convert groups to chat format
+                for (const [groupId, group] of Object.entries(groups)) {
+                    if (groupId.endsWith('@g.us')) {
+                        chats.push({
+                            id: groupId,
+                            subject: group.subject,
+                            name: group.subject || 'Group',
+                            participants: group.participants || [],
+                            type: 'group'
+                        });
+                    }
+                }
+                chatSource = 'groupFetchAllParticipating';
+                logger.info(`Added ${chats.length} groups from groupFetchAllParticipating`);
+            } catch (groupError) {
+                logger.warn(`Error fetching groups: ${groupError.message}`);
+            }
+        }
+
+        logger.info(`=== Total chats found: ${chats.length}, source: ${chatSource} ===`);
+
+        // Map to store merged chats by canonical ID (Phone JID)
+        const mergedChats = new Map();
+
+        // First pass: Process all chats and resolve LIDs
+        for (const chat of chats) {
+            if (!chat) continue;
+
+            const chatId = chat.id || chat.jid || (typeof chat === 'string' ? chat : null);
+            if (!chatId) continue;
+
+            // Skip broadcast and system chats
+            if (chatId === 'status@broadcast' || chatId.includes('broadcast') || chatId === 'server@c.us') {
+                continue;
+            }
+
+            let canonicalId = chatId;
+            let chatType = 'individual';
+            let chatName = 'Unknown';
+            let isLid = false;
+
+            // Determine type and canonical ID
+            if (chatId.endsWith('@g.us')) {
+                chatType = 'group';
+                chatName = chat.subject || chat.name || 'Group';
+            } else if (chatId.endsWith('@s.whatsapp.net')) {
+                chatType = 'individual';
+                const phone = chatId.split(':')[0] || chatId.replace('@s.whatsapp.net', '');
+                chatName = chat.name || chat.notify || chat.pushName || phone;
+            } else if (chatId.endsWith('@lid')) {
+                chatType = 'individual';
+                isLid = true;
+
+                // Try to resolve LID to phone number
+                let resolvedPhone = null;
+                let resolvedName = null;
 
-                // Log progress every 5 attempts
-                if (attempts % 10 === 0) {
-                    logger.info(`Waiting for QR code... (${attempts}/${maxAttempts})`);
+                if (sock.store && sock.store.contacts) {
+                    const contact = sock.store.contacts[chatId] || (sock.store.contacts.get ? sock.store.contacts.get(chatId) : null);
+                    if (contact) {
+                        resolvedName = contact.name || contact.notify || contact.pushName;
+                        if (contact.phoneNumber) {
+                            resolvedPhone = contact.phoneNumber;
+                        }
+                    }
+                }
+
+                // If we found a phone number, construct the canonical Phone JID
+                if (resolvedPhone) {
+                    canonicalId = `${resolvedPhone}@s.whatsapp.net`;
+                    chatName = resolvedName || resolvedPhone;
+                } else {
+                    // Fallback: try to extract from LID if it looks like a number (rare but possible)
+                    const lidMatch = chatId.match(/^(\d+)@lid$/);
+                    if (lidMatch && lidMatch[1] && lidMatch[1].length >= 10 && lidMatch[1].length <= 15) {
+                        canonicalId = `${lidMatch[1]}@s.whatsapp.net`;
+                        chatName = resolvedName || lidMatch[1];
+                    } else {
+                        // Cannot resolve, keep as LID
+                        chatName = resolvedName || chat.name || chat.notify || chat.pushName || 'Unknown Contact';
+                    }
                 }
+            } else {
+                continue; // Skip unknown formats
+            }
+
+            // Prepare formatted chat object
+            const formattedChat = {
+                id: canonicalId, // Use canonical ID (Phone JID if resolved)
+                originalId: chatId, // Keep track of the ID this specific entry came from
+                name: chatName,
+                type: chatType,
+                ...getChatUnreadState(chat),
+                lastMessageTime: chat.conversationTimestamp ? new Date(chat.conversationTimestamp * 1000).toISOString() : null,
+                pinned: chat.pinned || false,
+                archived: chat.archived || false,
+                muted: isChatMuted(chat),
+                mutedUntil: chat.muteEndTime > 0 ? new Date(chat.muteEndTime).toISOString() : null,
+                raw: chat
+            };
+
+            // Merge into map
+            if (mergedChats.has(canonicalId)) {
+                const existing = mergedChats.get(canonicalId);
+
+                // Merge logic:
+                // 1. Prefer name from Phone JID if available, or whichever is not "Unknown"
+                if (existing.name === 'Unknown' && formattedChat.name !== 'Unknown') {
+                    existing.name = formattedChat.name;
+                }
+
+                // 2. Sum unread counts
+                existing.unreadCount += formattedChat.unreadCount;
+                existing.markedUnread = existing.markedUnread || formattedChat.markedUnread;
+
+                // 3. Keep the latest message time
+                if (formattedChat.lastMessageTime) {
+                    if (!existing.lastMessageTime || new Date(formattedChat.lastMessageTime) > new Date(existing.lastMessageTime)) {
+                        existing.lastMessageTime = formattedChat.lastMessageTime;
+                        // If the LID has a newer message, we might want to keep its raw data for preview? 
+                        // For now, let's keep the raw data of the Phone JID if possible, or update if LID is newer.
+                        // Actually, keeping the raw data of the *latest* message is usually better for previews.
+                        existing.raw = formattedChat.raw;
+                    }
+                }
+
+                // 4. If we are merging a LID into a Phone JID, ensure the ID stays as Phone JID
+                // (Already handled by using canonicalId as key)
+
+            } else {
+                mergedChats.set(canonicalId, formattedChat);
             }
-        } catch (error) {
-            logger.error(`Error starting socket for QR: ${error.message}`);
-            return res.status(500).json({ error: error.message });
         }
-    }
 
-    const qrcode = qrCodes.get(sessionName);
+        // Convert map to array, filtered and sorted by last message time (most recent first)
+        const { filters, limit, cursor } = listQuery;
+        const formattedChats = Array.from(mergedChats.values())
+            .filter(chat => matchesChatFilters(chat, filters))
+            .sort(compareChats);
+
+        // Cursor pagination: continue after the last chat of the previous page
+        const start = cursor ? formattedChats.findIndex(chat => compareChats(chat, cursor) > 0) : 0;
+        const remaining = start === -1 ? [] : formattedChats.slice(start);
+        const page = limit ? remaining.slice(0, limit) : remaining;
+        const hasMore = page.length < remaining.length;
+
+        if (lean) {
+            for (const chat of page) {
+                delete chat.raw;
+            }
+        }
+
+        logger.info(`Returning ${page.length} of ${formattedChats.length} matching chats`);
 
-    if (qrcode) {
-        logger.info(`Returning QR code for session: ${sessionName}`);
-        res.json({ qrcode: { base64: qrcode } });
-    } else {
-        logger.warn(`QR code not available for session: ${sessionName}`);
         res.json({
-            qrcode: null,
-            message: 'QR code not available yet. The socket may still be initializing. Please wait a few seconds and refresh.',
-            retry: true
+            success: true,
+            chats: page,
+            total: page.length,
+            totalMatching: formattedChats.length,
+            hasMore,
+            nextCursor: hasMore ? encodeChatCursor(page[page.length - 1]) : null,
+            source: chatSource,
+            ...(!lean && {
+                debug: {
+                    hasSockChats: !!sock.chats,
+                    hasStore: !!sock.store,
+                    hasStoreChats: !!(sock.store && sock.store.chats),
+                    rawChatsCount: chats.length
+                }
+            }),
+            note: chats.length === 0 ?
+                'No chats found. This might mean: 1) History sync not completed yet, 2) No chats in account, 3) Chats stored in different location. Check server logs for details.' :
+                'Baileys loads chats gradually. Wait 5-20 seconds after connection for all chats to sync.'
         });
+    } catch (error) {
+        logger.error('Error fetching chats:', error);
+        logger.error('Error stack:', error.stack);
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Get session status
-app.get('/api/:session/status-session', async (req, res) => {
+// Modify a chat: archive, unarchive, pin, unpin, mute ({ duration: seconds | 'forever' }), unmute, read, unread, clear
+app.post('/api/:session/chats/:jid/:action', authorize('send'), async (req, res) => {
     const sessionName = req.params.session;
+    const jid = decodeURIComponent(req.params.jid);
+    const { action } = req.params;
     const sock = sockets.get(sessionName);
+    const chatAction = CHAT_ACTIONS[action];
+
+    if (!chatAction) {
+        return res.status(400).json({ error: `Unknown action: ${action}. Use ${Object.keys(CHAT_ACTIONS).join(', ')}` });
+    }
+
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+
+    if (!jid.includes('@')) {
+        return res.status(400).json({ error: 'jid must be a full chat JID (e.g. 911234567890@s.whatsapp.net)' });
+    }
+
+    let muteEndTime = null;
+    if (action === 'mute') {
+        muteEndTime = parseMuteDuration(req.body.duration);
+        if (muteEndTime === null) {
+            return res.status(400).json({ error: "duration must be a number of seconds or 'forever'" });
+        }
+    }
+
+    try {
+        const modification = chatAction.modify(muteEndTime);
+        if (chatAction.needsLastMessages) {
+            modification.lastMessages = getChatLastMessages(sessionName, jid);
+        }
+        await sock.chatModify(modification, jid);
+
+        const cleared = action === 'clear' ? clearChatMessages(sessionName, jid) : undefined;
+        const chat = updateSessionChat(sessionName, jid, chatAction.changes(muteEndTime));
+        logger.info(`💬 ${action} chat ${jid} (${sessionName})`);
 
-    if (sock && sock.user) {
-        const phoneNumber = sock.user.id.split(':')[0];
-        logger.info(`Status check for ${sessionName}: CONNECTED (${phoneNumber})`);
         res.json({
-            status: 'CONNECTED',
-            connected: true,
-            phone: phoneNumber
+            success: true,
+            action,
+            jid,
+            archived: chat.archived || false,
+            pinned: !!chat.pinned,
+            muted: isChatMuted(chat),
+            mutedUntil: chat.muteEndTime > 0 ? new Date(chat.muteEndTime).toISOString() : null,
+            ...getChatUnreadState(chat),
+            ...(cleared !== undefined && { clearedMessages: cleared })
         });
-    } else {
-        // Check if socket exists but not fully connected yet
-        if (sock) {
-            logger.info(`Status check for ${sessionName}: connecting (socket exists but no user yet)`);
-            res.json({
-                status: 'connecting',
-                connected: false
-            });
-        } else if (qrCodes.has(sessionName)) {
-            logger.info(`Status check for ${sessionName}: connecting (QR code exists)`);
-            res.json({
-                status: 'connecting',
-                connected: false
-            });
+    } catch (error) {
+        logger.error(`Error performing ${action} on chat ${jid}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a chat for this account (its stored messages are removed as well)
+app.delete('/api/:session/chats/:jid', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const jid = decodeURIComponent(req.params.jid);
+    const sock = sockets.get(sessionName);
+
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+
+    if (!jid.includes('@')) {
+        return res.status(400).json({ error: 'jid must be a full chat JID (e.g. 911234567890@s.whatsapp.net)' });
+    }
+
+    try {
+        await sock.chatModify({ delete: true, lastMessages: getChatLastMessages(sessionName, jid) }, jid);
+
+        sessionChats.get(sessionName)?.delete(jid);
+        const deletedMessages = clearChatMessages(sessionName, jid);
+        logger.info(`🗑️ Deleted chat ${jid} with ${deletedMessages} stored messages (${sessionName})`);
+
+        res.json({ success: true, jid, deletedMessages });
+    } catch (error) {
+        logger.error(`Error deleting chat ${jid}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Helper function to resolve the participants of a group to phone numbers and display names.
+// Phones of LID participants come from the participant itself or the socket's LID -> PN mapping; a LID alone
+// isn't a phone number, so those stay null.
+// Names come from the contact store (by JID, then by phone JID for LIDs), then message pushNames, then the phone.
+// Returns [{ id, phone, name, nameSource: 'contact' | 'push_name' | 'phone' | null, admin, role }]
+async function resolveGroupParticipants(sessionName, sock, groupMetadata) {
+    // Helper function to get contact name from store
+    function getContactName(jid) {
+        if (!sock.store || !sock.store.contacts) return null;
+
+        // Handle both Map and Object store implementations
+        let contact = null;
+        if (sock.store.contacts instanceof Map) {
+            contact = sock.store.contacts.get(jid);
         } else {
-            // Check if credentials exist (might be connecting)
-            const sessionDir = getSessionDir(sessionName);
-            const credsPath = path.join(sessionDir, 'creds.json');
-            if (fs.existsSync(credsPath)) {
-                logger.info(`Status check for ${sessionName}: connecting (credentials exist)`);
-                res.json({
-                    status: 'connecting',
-                    connected: false
-                });
-            } else {
-                logger.info(`Status check for ${sessionName}: disconnected`);
-                res.json({
-                    status: 'disconnected',
-                    connected: false
-                });
+            contact = sock.store.contacts[jid];
+        }
+
+        if (contact) {
+            return contact.name || contact.notify || contact.pushName ||
+                contact.verifiedName || null;
+        }
+        return null;
+    }
+
+    // Known phone numbers of LID participants that didn't bring one (lid -> PN JID)
+    const lidToPn = new Map();
+    const unresolvedLids = groupMetadata.participants
+        .filter(p => p.id.endsWith('@lid') && !p.phoneNumber)
+        .map(p => p.id);
+    if (unresolvedLids.length > 0 && sock.signalRepository?.lidMapping) {
+        try {
+            const pairs = await sock.signalRepository.lidMapping.getPNsForLIDs(unresolvedLids);
+            for (const { lid, pn } of pairs || []) {
+                lidToPn.set(lid, pn);
             }
+        } catch (err) {
+            logger.debug(`LID mapping lookup failed: ${err.message}`);
         }
     }
-});
 
-// Get all chats (groups)
-app.get('/api/:session/all-chats', async (req, res) => {
+    const messageStore = getMessageStore(sessionName);
+    const participants = [];
+
+    for (const participant of groupMetadata.participants) {
+        const participantId = participant.id;
+        let phone = null;
+        let name = null;
+        let nameSource = null;
+
+        // Extract phone number (LID participants carry it separately when WhatsApp shares it)
+        if (participant.phoneNumber) {
+            phone = participant.phoneNumber.split(':')[0].split('@')[0];
+        } else if (participantId.includes('@s.whatsapp.net')) {
+            phone = participantId.split(':')[0].split('@')[0];
+        } else if (lidToPn.has(participantId)) {
+            phone = lidToPn.get(participantId).split(':')[0].split('@')[0];
+        }
+
+        // Try to get name from contact store
+        name = getContactName(participantId);
+
+        // If LID and no name, try phone JID
+        if (!name && participantId.includes('@lid') && phone) {
+            const phoneJid = `${phone}@s.whatsapp.net`;
+            name = getContactName(phoneJid);
+        }
+        if (name) {
+            nameSource = 'contact';
+        }
+
+        // Fallback: Check message history for pushName
+        if (!name) {
+            const messages = messageStore.get(participantId) ||
+                messageStore.get(`${phone}@s.whatsapp.net`) || [];
+
+            for (let i = messages.length - 1; i >= 0; i--) {
+                const msg = messages[i];
+                if (msg && msg.pushName) {
+                    name = msg.pushName;
+                    nameSource = 'push_name';
+                    break;
+                }
+            }
+        }
+
+        // Final fallback: Use phone number as name
+        if (!name && phone) {
+            name = `+${phone}`;
+            nameSource = 'phone';
+        }
+
+        participants.push({
+            id: participantId,
+            phone: phone,
+            name: name,
+            nameSource,
+            admin: participant.admin === 'admin' || participant.admin === 'superadmin',
+            role: participant.admin || 'member'
+        });
+    }
+
+    return participants;
+}
+
+// Group participant export formats: csv, xlsx (CSV that Excel opens correctly: BOM, CRLF, phones kept as text)
+// and vcard (one card per participant with a phone number)
+const GROUP_EXPORT_FORMATS = ['csv', 'xlsx', 'vcard'];
+const GROUP_EXPORT_COLUMNS = ['group_id', 'group_name', 'participant_id', 'phone', 'name', 'name_source', 'admin', 'role'];
+
+// Helper function to quote a CSV cell. Cells that spreadsheets would read as formulas are prefixed with '
+// (plain .csv files end up in Excel too)
+function toCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper function to render resolved group participants in an export format.
+// Returns { body, extension, contentType, skipped } (skipped: participants a vCard can't include)
+function renderGroupExport(groups, format) {
+    if (format === 'vcard') {
+        const cards = [];
+        let skipped = 0;
+        for (const { participants } of groups) {
+            for (const participant of participants) {
+                // LID participants whose phone number isn't known can't be saved as a contact
+                if (!participant.phone) {
+                    skipped++;
+                    continue;
+                }
+                cards.push(buildVCard({ name: participant.name || `+${participant.phone}`, phones: [participant.phone] }));
+            }
+        }
+        return { body: cards.join('\n'), extension: 'vcf', contentType: 'text/vcard; charset=utf-8', skipped };
+    }
+
+    const forExcel = format === 'xlsx';
+    const lineBreak = forExcel ? '\r\n' : '\n';
+    const rows = [GROUP_EXPORT_COLUMNS.join(',')];
+    for (const { groupJid, subject, participants } of groups) {
+        for (const p of participants) {
+            rows.push([
+                toCsvCell(groupJid),
+                toCsvCell(subject),
+                toCsvCell(p.id),
+                // ="..." keeps long numbers from turning into 9.19E+11 in Excel
+                forExcel && p.phone ? `="${p.phone}"` : toCsvCell(p.phone),
+                toCsvCell(p.name),
+                toCsvCell(p.nameSource),
+                p.admin ? 'yes' : 'no',
+                p.role
+            ].join(','));
+        }
+    }
+    const body = (forExcel ? '\uFEFF' : '') + rows.join(lineBreak) + lineBreak;
+    return { body, extension: 'csv', contentType: 'text/csv; charset=utf-8', skipped: 0 };
+}
+
+// Helper function to turn a group subject into a safe file name
+function toExportFileName(subject, groupJid) {
+    const base = (subject || '').replace(/[^\p{L}\p{N} _-]/gu, '').trim().replace(/\s+/g, '_').substring(0, 60);
+    return base || groupJid.split('@')[0];
+}
+
+// Get group info - FIXED VERSION
+app.get('/api/:session/group-info/:groupId', authorize('read'), async (req, res) => {
     const sessionName = req.params.session;
+    const groupId = normalizeGroupJid(req.params.groupId) || req.params.groupId;
     const sock = sockets.get(sessionName);
 
-    if (!sock || !sock.user) {
+    if (!isSessionConnected(sessionName, sock)) {
         return res.status(400).json({ error: 'Session not connected' });
     }
 
+    const timeout = setTimeout(() => {
+        if (!res.headersSent) {
+            res.status(504).json({ error: 'Request timeout' });
+        }
+    }, 60000);
+
     try {
-        const chats = await sock.groupFetchAllParticipating();
-        const groups = [];
+        logger.info(`Fetching group info for ${groupId}`);
 
-        for (const [groupId, group] of Object.entries(chats)) {
-            if (groupId.endsWith('@g.us')) {
-                groups.push({
-                    id: groupId,
-                    name: group.subject || 'Unknown Group',
-                    participants: group.participants || [],
-                    description: group.desc || '',
-                    creation: group.creation || null
-                });
+        // Served from the group metadata cache unless ?refresh=true
+        const groupMetadata = await getGroupMetadata(sessionName, sock, groupId, { refresh: req.query.refresh === 'true' });
+
+        logger.info(`Group has ${groupMetadata.participants.length} participants`);
+        const participants = (await resolveGroupParticipants(sessionName, sock, groupMetadata)).map(p => ({
+            id: p.id,
+            phone: p.phone,
+            name: p.name,
+            admin: p.admin
+        }));
+
+        const participantsWithNames = participants.filter(p => p.name).length;
+        logger.info(`Name fetch complete: ${participantsWithNames}/${participants.length} have names`);
+
+        clearTimeout(timeout);
+        res.json({
+            response: {
+                participants: participants,
+                subject: groupMetadata.subject,
+                creation: groupMetadata.creation,
+                desc: groupMetadata.desc
+            }
+        });
+
+    } catch (error) {
+        clearTimeout(timeout);
+        logger.error('Error fetching group info:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+// Export the participants of all groups as a zip archive with one file per group: ?format=csv|xlsx|vcard
+app.get('/api/:session/groups/export', authorize('read'), async (req, res) => {
+    const sessionName = req.params.session;
+    const format = req.query.format || 'csv';
+    const sock = sockets.get(sessionName);
+
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+    if (!GROUP_EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${GROUP_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    try {
+        const allGroups = await withGroupTimeout(sock.groupFetchAllParticipating(), 'groupFetchAllParticipating');
+        const zip = new AdmZip();
+        const usedNames = new Set();
+        let participantCount = 0;
+
+        for (const metadata of Object.values(allGroups)) {
+            const participants = await resolveGroupParticipants(sessionName, sock, metadata);
+            const { body, extension } = renderGroupExport([{ groupJid: metadata.id, subject: metadata.subject, participants }], format);
+
+            // Groups can share a subject
+            let fileName = toExportFileName(metadata.subject, metadata.id);
+            if (usedNames.has(fileName)) {
+                fileName = `${fileName}_${metadata.id.split('@')[0]}`;
             }
+            usedNames.add(fileName);
+
+            zip.addFile(`${fileName}.${extension}`, Buffer.from(body, 'utf-8'));
+            participantCount += participants.length;
         }
 
-        res.json({ groups });
+        logger.info(`📦 Exported ${participantCount} participants of ${usedNames.size} groups as ${format} (${sessionName})`);
+        res.set('Content-Type', 'application/zip');
+        res.set('Content-Disposition', getContentDisposition(`${sessionName}-groups-${format}.zip`, true));
+        res.send(zip.toBuffer());
     } catch (error) {
-        logger.error('Error fetching groups:', error);
+        logger.error(`Error exporting groups of ${sessionName}: ${error.message}`);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get all chats (individual + groups) - Using sock.chats directly as per Baileys docs
-app.get('/api/:session/chats', async (req, res) => {
+// Export the participants of a group with resolved names: ?format=csv|xlsx|vcard
+app.get('/api/:session/groups/:groupId/export', authorize('read'), async (req, res) => {
     const sessionName = req.params.session;
+    const groupJid = normalizeGroupJid(req.params.groupId);
+    const format = req.query.format || 'csv';
     const sock = sockets.get(sessionName);
 
-    if (!sock || !sock.user) {
+    if (!isSessionConnected(sessionName, sock)) {
         return res.status(400).json({ error: 'Session not connected' });
     }
+    if (!groupJid) {
+        return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    if (!GROUP_EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${GROUP_EXPORT_FORMATS.join(', ')}` });
+    }
 
     try {
-        // Debug: Log all available properties on sock
-        logger.info(`=== DEBUG: Checking chats for ${sessionName} ===`);
-
-        let chats = [];
-        let chatSource = 'none';
-
-        // Method 1: Get chats from event-captured storage (most reliable)
-        if (sessionChats.has(sessionName)) {
-            const chatMap = sessionChats.get(sessionName);
-            chats = Array.from(chatMap.values());
-            chatSource = 'event-captured';
-            logger.info(`Method 1: Found ${chats.length} chats from event listeners`);
+        const metadata = await getGroupMetadata(sessionName, sock, groupJid, { refresh: req.query.refresh === 'true' });
+        const participants = await resolveGroupParticipants(sessionName, sock, metadata);
+        const { body, extension, contentType, skipped } = renderGroupExport([{ groupJid, subject: metadata.subject, participants }], format);
+
+        logger.info(`📦 Exported ${participants.length} participants of ${groupJid} as ${format} (${sessionName})`);
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', getContentDisposition(`${toExportFileName(metadata.subject, groupJid)}.${extension}`, true));
+        if (skipped > 0) {
+            // Participants whose phone number WhatsApp doesn't share can't be turned into a vCard
+            res.set('X-Skipped-Participants', String(skipped));
         }
+        res.send(body);
+    } catch (error) {
+        logger.error(`Error exporting group ${groupJid}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Method 2: Try sock.chats directly (per Baileys docs)
-        if (chats.length === 0 && sock.chats) {
-            logger.info(`Method 2: Found sock.chats, type: ${typeof sock.chats}`);
-            if (typeof sock.chats === 'object') {
-                chats = Object.values(sock.chats);
-                chatSource = 'sock.chats';
-                logger.info(`Found ${chats.length} chats from sock.chats`);
-            }
-        }
+// Participant change log of a group (newest first): ?action=add|remove|promote|demote|modify, ?participant=
+// (phone or JID), ?since= (ISO date) and ?limit= (default 100)
+app.get('/api/:session/groups/:groupId/events', authorize('read'), (req, res) => {
+    const sessionName = req.params.session;
+    const groupJid = normalizeGroupJid(req.params.groupId);
+    const { action, participant, since } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, GROUP_EVENT_LOG_LIMIT);
 
-        // Method 3: Try sock.store.chats (Map or object)
-        if (chats.length === 0 && sock.store && sock.store.chats) {
-            logger.info(`Method 3: Found sock.store.chats`);
-            const storeChats = sock.store.chats;
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+    if (!groupJid) {
+        return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: 'since must be an ISO date' });
+    }
 
-            if (storeChats instanceof Map) {
-                chats = Array.from(storeChats.values());
-                chatSource = 'store.chats (Map)';
-            } else if (typeof storeChats === 'object' && storeChats !== null) {
-                chats = Object.values(storeChats);
-                chatSource = 'store.chats (object)';
-            }
-            logger.info(`Found ${chats.length} chats from store.chats`);
+    let participantJid = null;
+    if (participant) {
+        const normalized = normalizeJidList([participant], 'participant');
+        if (normalized.error) {
+            return res.status(normalized.status).json({ error: normalized.error });
         }
+        participantJid = normalized.jids[0];
+    }
 
-        // Method 4: Try to fetch groups separately (fallback)
-        if (chats.length === 0) {
-            logger.info(`Method 4: Trying to fetch groups separately`);
-            try {
-                const groups = await sock.groupFetchAllParticipating();
-                logger.info(`Fetched ${Object.keys(groups).length} groups`);
-
-                // Convert groups to chat format
-                for (const [groupId, group] of Object.entries(groups)) {
-                    if (groupId.endsWith('@g.us')) {
-                        chats.push({
-                            id: groupId,
-                            subject: group.subject,
-                            name: group.subject || 'Group',
-                            participants: group.participants || [],
-                            type: 'group'
-                        });
-                    }
-                }
-                chatSource = 'groupFetchAllParticipating';
-                logger.info(`Added ${chats.length} groups from groupFetchAllParticipating`);
-            } catch (groupError) {
-                logger.warn(`Error fetching groups: ${groupError.message}`);
-            }
-        }
+    let events = (getGroupEvents(sessionName)[groupJid] || []).slice().reverse();
+    if (action) {
+        events = events.filter(e => e.action === action);
+    }
+    if (since) {
+        events = events.filter(e => Date.parse(e.at) >= Date.parse(since));
+    }
+    if (participantJid) {
+        events = events.filter(e => e.participants.some(p => isSameParticipant(p, participantJid)));
+    }
 
-        logger.info(`=== Total chats found: ${chats.length}, source: ${chatSource} ===`);
+    res.json({
+        groupJid,
+        total: events.length,
+        events: events.slice(0, limit)
+    });
+});
 
-        // Map to store merged chats by canonical ID (Phone JID)
-        const mergedChats = new Map();
+// Create a group: { subject, participants: [phones/JIDs] }.
+// Participants WhatsApp didn't add (privacy settings, not on WhatsApp) are reported as failed.
+app.post('/api/:session/groups', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const { subject, participants } = req.body;
+    const sock = sockets.get(sessionName);
 
-        // First pass: Process all chats and resolve LIDs
-        for (const chat of chats) {
-            if (!chat) continue;
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+    if (!subject || typeof subject !== 'string' || subject.length > 100) {
+        return res.status(400).json({ error: 'subject is required (at most 100 characters)' });
+    }
+    const normalized = normalizeJidList(participants || [], 'participants');
+    if (normalized.error) {
+        return res.status(normalized.status).json({ error: normalized.error });
+    }
 
-            const chatId = chat.id || chat.jid || (typeof chat === 'string' ? chat : null);
-            if (!chatId) continue;
+    try {
+        const metadata = await withGroupTimeout(sock.groupCreate(subject, normalized.jids), 'groupCreate');
+        logger.info(`👥 Created group ${metadata.id} "${subject}" (${sessionName})`);
 
-            // Skip broadcast and system chats
-            if (chatId === 'status@broadcast' || chatId.includes('broadcast') || chatId === 'server@c.us') {
-                continue;
+        const added = new Set();
+        for (const participant of metadata.participants || []) {
+            for (const jid of [participant.id, participant.phoneNumber, participant.lid]) {
+                if (jid) added.add(jidNormalizedUser(jid));
             }
+        }
 
-            let canonicalId = chatId;
-            let chatType = 'individual';
-            let chatName = 'Unknown';
-            let isLid = false;
+        res.json({
+            success: true,
+            groupJid: metadata.id,
+            subject: metadata.subject,
+            participants: normalized.jids.map(jid => added.has(jid)
+                ? { jid, success: true, statusCode: 200, error: null }
+                : { jid, success: false, statusCode: null, error: 'Not added - check the participant\'s privacy settings or send an invite link' })
+        });
+    } catch (error) {
+        logger.error(`Error creating group: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-            // Determine type and canonical ID
-            if (chatId.endsWith('@g.us')) {
-                chatType = 'group';
-                chatName = chat.subject || chat.name || 'Group';
-            } else if (chatId.endsWith('@s.whatsapp.net')) {
-                chatType = 'individual';
-                const phone = chatId.split(':')[0] || chatId.replace('@s.whatsapp.net', '');
-                chatName = chat.name || chat.notify || chat.pushName || phone;
-            } else if (chatId.endsWith('@lid')) {
-                chatType = 'individual';
-                isLid = true;
+// Add, remove, promote or demote group participants: { action, participants: [phones/JIDs] }.
+// Returns one result per participant - adds partially fail for participants whose privacy settings block it.
+app.post('/api/:session/groups/:groupId/participants', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const groupJid = normalizeGroupJid(req.params.groupId);
+    const { action, participants } = req.body;
+    const sock = sockets.get(sessionName);
 
-                // Try to resolve LID to phone number
-                let resolvedPhone = null;
-                let resolvedName = null;
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+    if (!groupJid) {
+        return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    if (!['add', 'remove', 'promote', 'demote'].includes(action)) {
+        return res.status(400).json({ error: 'action must be add, remove, promote or demote' });
+    }
+    const normalized = normalizeJidList(participants, 'participants');
+    if (normalized.error) {
+        return res.status(normalized.status).json({ error: normalized.error });
+    }
+    if (normalized.jids.length === 0) {
+        return res.status(400).json({ error: 'participants must not be empty' });
+    }
 
-                if (sock.store && sock.store.contacts) {
-                    const contact = sock.store.contacts[chatId] || (sock.store.contacts.get ? sock.store.contacts.get(chatId) : null);
-                    if (contact) {
-                        resolvedName = contact.name || contact.notify || contact.pushName;
-                        if (contact.phoneNumber) {
-                            resolvedPhone = contact.phoneNumber;
-                        }
-                    }
-                }
+    try {
+        const results = await withGroupTimeout(sock.groupParticipantsUpdate(groupJid, normalized.jids, action), 'groupParticipantsUpdate');
+        const described = results.map(describeParticipantResult);
+        const succeeded = described.filter(r => r.success).length;
+        logger.info(`👥 ${action} on ${groupJid}: ${succeeded}/${described.length} succeeded (${sessionName})`);
 
-                // If we found a phone number, construct the canonical Phone JID
-                if (resolvedPhone) {
-                    canonicalId = `${resolvedPhone}@s.whatsapp.net`;
-                    chatName = resolvedName || resolvedPhone;
-                } else {
-                    // Fallback: try to extract from LID if it looks like a number (rare but possible)
-                    const lidMatch = chatId.match(/^(\d+)@lid$/);
-                    if (lidMatch && lidMatch[1] && lidMatch[1].length >= 10 && lidMatch[1].length <= 15) {
-                        canonicalId = `${lidMatch[1]}@s.whatsapp.net`;
-                        chatName = resolvedName || lidMatch[1];
-                    } else {
-                        // Cannot resolve, keep as LID
-                        chatName = resolvedName || chat.name || chat.notify || chat.pushName || 'Unknown Contact';
-                    }
-                }
-            } else {
-                continue; // Skip unknown formats
-            }
+        res.json({
+            success: succeeded > 0,
+            groupJid,
+            action,
+            succeeded,
+            failed: described.length - succeeded,
+            participants: described
+        });
+    } catch (error) {
+        logger.error(`Error running ${action} on ${groupJid}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-            // Prepare formatted chat object
-            const formattedChat = {
-                id: canonicalId, // Use canonical ID (Phone JID if resolved)
-                originalId: chatId, // Keep track of the ID this specific entry came from
-                name: chatName,
-                type: chatType,
-                unreadCount: chat.unreadCount || chat.unread || 0,
-                lastMessageTime: chat.conversationTimestamp ? new Date(chat.conversationTimestamp * 1000).toISOString() : null,
-                pinned: chat.pinned || false,
-                raw: chat
-            };
+// Update group subject, description and settings: { subject, description, announce, locked }.
+// announce: only admins can send messages, locked: only admins can edit group info. Returns one result per field.
+app.patch('/api/:session/groups/:groupId', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const groupJid = normalizeGroupJid(req.params.groupId);
+    const { subject, description, announce, locked } = req.body;
+    const sock = sockets.get(sessionName);
 
-            // Merge into map
-            if (mergedChats.has(canonicalId)) {
-                const existing = mergedChats.get(canonicalId);
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+    if (!groupJid) {
+        return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    if (subject !== undefined && (!subject || typeof subject !== 'string' || subject.length > 100)) {
+        return res.status(400).json({ error: 'subject must be a non-empty string (at most 100 characters)' });
+    }
+    if (description !== undefined && typeof description !== 'string') {
+        return res.status(400).json({ error: 'description must be a string (empty to remove it)' });
+    }
+    for (const [field, value] of Object.entries({ announce, locked })) {
+        if (value !== undefined && typeof value !== 'boolean') {
+            return res.status(400).json({ error: `${field} must be true or false` });
+        }
+    }
 
-                // Merge logic:
-                // 1. Prefer name from Phone JID if available, or whichever is not "Unknown"
-                if (existing.name === 'Unknown' && formattedChat.name !== 'Unknown') {
-                    existing.name = formattedChat.name;
-                }
+    const updates = [];
+    if (subject !== undefined) {
+        updates.push(['subject', () => sock.groupUpdateSubject(groupJid, subject)]);
+    }
+    if (description !== undefined) {
+        updates.push(['description', () => sock.groupUpdateDescription(groupJid, description || undefined)]);
+    }
+    if (announce !== undefined) {
+        updates.push(['announce', () => sock.groupSettingUpdate(groupJid, announce ? 'announcement' : 'not_announcement')]);
+    }
+    if (locked !== undefined) {
+        updates.push(['locked', () => sock.groupSettingUpdate(groupJid, locked ? 'locked' : 'unlocked')]);
+    }
+    if (updates.length === 0) {
+        return res.status(400).json({ error: 'Nothing to update - send subject, description, announce or locked' });
+    }
 
-                // 2. Sum unread counts
-                existing.unreadCount += formattedChat.unreadCount;
+    const results = {};
+    for (const [field, update] of updates) {
+        try {
+            await withGroupTimeout(update(), field);
+            results[field] = { success: true, error: null };
+        } catch (error) {
+            logger.error(`Error updating ${field} of ${groupJid}: ${error.message}`);
+            results[field] = { success: false, error: error.message };
+        }
+    }
 
-                // 3. Keep the latest message time
-                if (formattedChat.lastMessageTime) {
-                    if (!existing.lastMessageTime || new Date(formattedChat.lastMessageTime) > new Date(existing.lastMessageTime)) {
-                        existing.lastMessageTime = formattedChat.lastMessageTime;
-                        // If the LID has a newer message, we might want to keep its raw data for preview? 
-                        // For now, let's keep the raw data of the Phone JID if possible, or update if LID is newer.
-                        // Actually, keeping the raw data of the *latest* message is usually better for previews.
-                        existing.raw = formattedChat.raw;
-                    }
-                }
+    const failed = Object.values(results).filter(r => !r.success).length;
+    logger.info(`👥 Updated ${groupJid}: ${updates.length - failed}/${updates.length} field(s) (${sessionName})`);
+    res.status(failed === updates.length ? 500 : 200).json({ success: failed === 0, groupJid, results });
+});
 
-                // 4. If we are merging a LID into a Phone JID, ensure the ID stays as Phone JID
-                // (Already handled by using canonicalId as key)
+// Get the invite link of a group (send scope, like revoke: the link lets anyone join the group)
+app.get('/api/:session/groups/:groupId/invite-code', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const groupJid = normalizeGroupJid(req.params.groupId);
+    const sock = sockets.get(sessionName);
 
-            } else {
-                mergedChats.set(canonicalId, formattedChat);
-            }
-        }
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+    if (!groupJid) {
+        return res.status(400).json({ error: 'Invalid group ID' });
+    }
 
-        // Convert map to array
-        const formattedChats = Array.from(mergedChats.values());
+    try {
+        const code = await withGroupTimeout(sock.groupInviteCode(groupJid), 'groupInviteCode');
+        res.json({ groupJid, code, link: `https://chat.whatsapp.com/${code}` });
+    } catch (error) {
+        logger.error(`Error fetching invite code of ${groupJid}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Sort by last message time (most recent first)
-        formattedChats.sort((a, b) => {
-            if (a.lastMessageTime && b.lastMessageTime) {
-                return new Date(b.lastMessageTime) - new Date(a.lastMessageTime);
-            }
-            if (a.lastMessageTime) return -1;
-            if (b.lastMessageTime) return 1;
-            return a.name.localeCompare(b.name);
-        });
+// Revoke the invite link of a group - the old link stops working and a new one is returned
+app.post('/api/:session/groups/:groupId/invite-code/revoke', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const groupJid = normalizeGroupJid(req.params.groupId);
+    const sock = sockets.get(sessionName);
 
-        logger.info(`Returning ${formattedChats.length} formatted chats`);
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+    if (!groupJid) {
+        return res.status(400).json({ error: 'Invalid group ID' });
+    }
 
-        res.json({
-            success: true,
-            chats: formattedChats,
-            total: formattedChats.length,
-            source: chatSource,
-            debug: {
-                hasSockChats: !!sock.chats,
-                hasStore: !!sock.store,
-                hasStoreChats: !!(sock.store && sock.store.chats),
-                rawChatsCount: chats.length
-            },
-            note: chats.length === 0 ?
-                'No chats found. This might mean: 1) History sync not completed yet, 2) No chats in account, 3) Chats stored in different location. Check server logs for details.' :
-                'Baileys loads chats gradually. Wait 5-20 seconds after connection for all chats to sync.'
-        });
+    try {
+        const code = await withGroupTimeout(sock.groupRevokeInvite(groupJid), 'groupRevokeInvite');
+        logger.info(`👥 Revoked invite link of ${groupJid} (${sessionName})`);
+        res.json({ success: true, groupJid, code, link: `https://chat.whatsapp.com/${code}` });
     } catch (error) {
-        logger.error('Error fetching chats:', error);
-        logger.error('Error stack:', error.stack);
+        logger.error(`Error revoking invite code of ${groupJid}: ${error.message}`);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get group info - FIXED VERSION
-app.get('/api/:session/group-info/:groupId', async (req, res) => {
+// Join a group by invite code or link: { code } or { link }
+app.post('/api/:session/groups/join', authorize('send'), async (req, res) => {
     const sessionName = req.params.session;
-    const groupId = req.params.groupId;
     const sock = sockets.get(sessionName);
+    const input = String(req.body.code || req.body.link || '').trim();
+    // Accept a bare code or a https://chat.whatsapp.com/<code> link
+    const code = input.split('/').pop().split('?')[0];
 
-    if (!sock || !sock.user) {
+    if (!isSessionConnected(sessionName, sock)) {
         return res.status(400).json({ error: 'Session not connected' });
     }
-
-    const timeout = setTimeout(() => {
-        if (!res.headersSent) {
-            res.status(504).json({ error: 'Request timeout' });
-        }
-    }, 60000);
+    if (!/^[A-Za-z0-9]{10,40}$/.test(code)) {
+        return res.status(400).json({ error: 'A valid invite code or link is required' });
+    }
 
     try {
-        logger.info(`Fetching group info for ${groupId}`);
-
-        const groupMetadata = await Promise.race([
-            sock.groupMetadata(groupId),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('groupMetadata timeout')), 30000))
-        ]);
-
-        const participants = [];
-        logger.info(`Group has ${groupMetadata.participants.length} participants`);
-
-        // Helper function to get contact name from store
-        function getContactName(jid) {
-            if (!sock.store || !sock.store.contacts) return null;
-
-            // Handle both Map and Object store implementations
-            let contact = null;
-            if (sock.store.contacts instanceof Map) {
-                contact = sock.store.contacts.get(jid);
-            } else {
-                contact = sock.store.contacts[jid];
-            }
-
-            if (contact) {
-                return contact.name || contact.notify || contact.pushName ||
-                    contact.verifiedName || null;
-            }
-            return null;
-        }
-
-        // Process participants
-        for (const participant of groupMetadata.participants) {
-            const participantId = participant.id;
-            let phone = null;
-            let name = null;
-
-            // Extract phone number
-            if (participantId.includes('@s.whatsapp.net')) {
-                phone = participantId.split(':')[0].split('@')[0];
-            } else if (participantId.includes('@lid')) {
-                const lidMatch = participantId.match(/^(\d+)@lid$/);
-                if (lidMatch && lidMatch[1]) {
-                    phone = lidMatch[1];
-                }
-            }
-
-            // Try to get name from contact store
-            name = getContactName(participantId);
-
-            // If LID and no name, try phone JID
-            if (!name && participantId.includes('@lid') && phone) {
-                const phoneJid = `${phone}@s.whatsapp.net`;
-                name = getContactName(phoneJid);
-            }
-
-            // Fallback: Check message history for pushName
-            if (!name) {
-                const messageStore = sessionMessages.get(sessionName);
-                if (messageStore) {
-                    const messages = messageStore.get(participantId) ||
-                        messageStore.get(`${phone}@s.whatsapp.net`) || [];
-
-                    for (let i = messages.length - 1; i >= 0; i--) {
-                        const msg = messages[i];
-                        if (msg && msg.pushName) {
-                            name = msg.pushName;
-                            break;
-                        }
-                    }
-                }
-            }
-
-            // Final fallback: Use phone number as name
-            if (!name && phone) {
-                name = `+${phone}`;
-            }
-
-            const isAdmin = participant.admin === 'admin' ||
-                participant.admin === 'superadmin';
-
-            participants.push({
-                id: participantId,
-                phone: phone,
-                name: name,
-                admin: isAdmin
-            });
-        }
+        const groupJid = await withGroupTimeout(sock.groupAcceptInvite(code), 'groupAcceptInvite');
+        logger.info(`👥 Joined group ${groupJid} via invite (${sessionName})`);
+        res.json({ success: true, groupJid });
+    } catch (error) {
+        logger.error(`Error joining group with invite ${code}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        const participantsWithNames = participants.filter(p => p.name).length;
-        logger.info(`Name fetch complete: ${participantsWithNames}/${participants.length} have names`);
+// Leave a group
+app.post('/api/:session/groups/:groupId/leave', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const groupJid = normalizeGroupJid(req.params.groupId);
+    const sock = sockets.get(sessionName);
 
-        clearTimeout(timeout);
-        res.json({
-            response: {
-                participants: participants,
-                subject: groupMetadata.subject,
-                creation: groupMetadata.creation,
-                desc: groupMetadata.desc
-            }
-        });
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+    if (!groupJid) {
+        return res.status(400).json({ error: 'Invalid group ID' });
+    }
 
+    try {
+        await withGroupTimeout(sock.groupLeave(groupJid), 'groupLeave');
+        logger.info(`👥 Left group ${groupJid} (${sessionName})`);
+        res.json({ success: true, groupJid });
     } catch (error) {
-        clearTimeout(timeout);
-        logger.error('Error fetching group info:', error);
-        if (!res.headersSent) {
-            res.status(500).json({ error: error.message });
-        }
+        logger.error(`Error leaving group ${groupJid}: ${error.message}`);
+        res.status(500).json({ error: error.message });
     }
 });
 
 // Get messages for a specific chat
-app.get('/api/:session/messages/:jid', async (req, res) => {
+app.get('/api/:session/messages/:jid', authorize('read'), async (req, res) => {
     const sessionName = req.params.session;
     const jid = decodeURIComponent(req.params.jid);
     const requestedLimit = parseInt(req.query.limit) || 20;
-    const minMessages = 5; // Minimum messages to return (WhatsApp MD only provides 20-30 max)
+    const before = req.query.before || null; // message ID cursor - page of older messages
+    const after = req.query.after || null; // message ID cursor - page of newer messages
     const maxRetries = 5; // Maximum retry attempts
     const retryDelay = 1000; // Delay between retries (ms)
     const sock = sockets.get(sessionName);
 
-    if (!sock || !sock.user) {
+    if (!isSessionConnected(sessionName, sock)) {
         return res.status(400).json({ error: 'Session not connected' });
     }
 
+    if (before && after) {
+        return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
+
     try {
         logger.info(`Loading messages for ${jid} from session ${sessionName}, requested limit: ${requestedLimit}`);
 
-        // Get unread count from chat data
-        let unreadCount = 0;
-        try {
-            const chatMap = sessionChats.get(sessionName);
-            if (chatMap && chatMap.has(jid)) {
-                const chat = chatMap.get(jid);
-                unreadCount = chat?.unreadCount || chat?.count || chat?.unread || 0;
-            }
-        } catch (e) {
-            logger.debug(`Could not get unread count: ${e.message}`);
-        }
+        // Unread state of the chat (same as /chats reports)
+        const { unreadCount, markedUnread } = getChatUnreadState(sessionChats.get(sessionName)?.get(jid));
+
+        // Without an explicit limit, make sure all unread messages fit in the first page
+        const limit = Math.min(MAX_MESSAGES_PAGE, req.query.limit ? Math.max(1, requestedLimit) : Math.max(requestedLimit, unreadCount));
 
-        // Strategy 1: Use helper function to get messages (unread + last N) from our store
+        // Strategy 1: Use helper function to get a page of messages from our persistent store
         // This includes messages from both messaging-history.set and messages.upsert
-        let messages = getMessagesForChat(sessionName, jid, Math.max(minMessages, requestedLimit));
+        let page = getMessagesForChat(sessionName, jid, { limit, before, after });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
 
-        if (messages.length > 0) {
-            logger.info(`✓ Found ${messages.length} messages using getMessagesForChat helper (includes history + new messages)`);
-        } else {
+        if (page.messages.length > 0) {
+            logger.info(`✓ Found ${page.messages.length} of ${page.total} stored messages using getMessagesForChat helper (includes history + new messages)`);
+        } else if (page.total === 0) {
             // Fallback: Try to extract messages directly from chat's raw data if available
             logger.info(`No messages in store for ${jid}, checking chat raw data...`);
             const chatMap = sessionChats.get(sessionName);
@@ -1286,47 +5050,31 @@ app.get('/api/:session/messages/:jid', async (req, res) => {
                 const rawMessages = chat.messages || chat.raw?.messages || [];
                 if (rawMessages.length > 0) {
                     logger.info(`Found ${rawMessages.length} messages in chat raw data, extracting...`);
-                    // Extract and format messages from raw data
+                    // Store these messages for future use (duplicates are skipped)
+                    let extracted = 0;
                     for (const msgWrapper of rawMessages) {
                         const msg = msgWrapper.message || msgWrapper;
                         if (msg && msg.key && msg.key.id) {
-                            // Ensure messageTimestamp is a number
-                            if (msg.messageTimestamp && typeof msg.messageTimestamp === 'string') {
-                                msg.messageTimestamp = parseInt(msg.messageTimestamp, 10);
-                            }
-                            messages.push(msg);
-                        }
-                    }
-                    logger.info(`Extracted ${messages.length} messages from raw chat data`);
-
-                    // Store these messages for future use
-                    if (!sessionMessages.has(sessionName)) {
-                        sessionMessages.set(sessionName, new Map());
-                    }
-                    const msgStore = sessionMessages.get(sessionName);
-                    if (!msgStore.has(jid)) {
-                        msgStore.set(jid, []);
-                    }
-                    // Add to store (avoid duplicates)
-                    for (const msg of messages) {
-                        const exists = msgStore.get(jid).some(m => m.key?.id === msg.key?.id);
-                        if (!exists) {
-                            msgStore.get(jid).push(msg);
+                            storeMessage(sessionName, msg);
+                            extracted++;
                         }
                     }
+                    logger.info(`Extracted ${extracted} messages from raw chat data`);
+                    page = getMessagesForChat(sessionName, jid, { limit });
                 }
             }
         }
 
+        let messages = page.messages;
+
         // Strategy 2: Try Baileys store (if available) - fallback only
-        if (messages.length === 0 && sock.store && sock.store.messages) {
+        if (page.total === 0 && sock.store && sock.store.messages) {
             try {
                 const storeMessages = sock.store.messages.get(jid);
                 if (storeMessages) {
                     const storeArray = Array.from(storeMessages.values());
                     if (storeArray.length > 0) {
                         // Get last N messages, sorted by timestamp
-                        const limit = Math.max(minMessages, requestedLimit);
                         const sorted = storeArray
                             .sort((a, b) => (b.messageTimestamp || 0) - (a.messageTimestamp || 0))
                             .slice(0, limit);
@@ -1340,30 +5088,20 @@ app.get('/api/:session/messages/:jid', async (req, res) => {
         }
 
         // Strategy 3: Try loading from WhatsApp (with small limit - WhatsApp MD limitation)
-        if (messages.length === 0) {
+        if (messages.length === 0 && page.total === 0 && typeof sock.loadMessages === 'function') {
             const smallLimit = 10; // WhatsApp MD typically provides 20-30 max
             try {
                 logger.info(`Attempting to load ${smallLimit} messages from WhatsApp...`);
                 const loadedMessages = await sock.loadMessages(jid, smallLimit);
                 if (loadedMessages && loadedMessages.length > 0) {
-                    messages = loadedMessages;
-                    logger.info(`✓ Successfully loaded ${messages.length} messages from WhatsApp`);
+                    logger.info(`✓ Successfully loaded ${loadedMessages.length} messages from WhatsApp`);
 
-                    // Store these messages for future use
-                    if (!messageStore) {
-                        sessionMessages.set(sessionName, new Map());
-                    }
-                    const msgStore = sessionMessages.get(sessionName);
-                    if (!msgStore.has(jid)) {
-                        msgStore.set(jid, []);
-                    }
-                    // Add to store (avoid duplicates)
+                    // Store these messages for future use (duplicates are skipped)
                     for (const msg of loadedMessages) {
-                        const exists = msgStore.get(jid).some(m => m.key?.id === msg.key?.id);
-                        if (!exists) {
-                            msgStore.get(jid).push(msg);
-                        }
+                        storeMessage(sessionName, msg);
                     }
+                    page = getMessagesForChat(sessionName, jid, { limit });
+                    messages = page.messages;
                 }
             } catch (error) {
                 logger.warn(`Failed to load messages from WhatsApp: ${error.message}`);
@@ -1386,6 +5124,7 @@ app.get('/api/:session/messages/:jid', async (req, res) => {
         }
 
         // Format messages for response
+        const unreadIds = getUnreadMessageIds(sessionName, jid);
         const formattedMessages = messages.map(msg => {
             try {
                 const messageId = msg.key?.id;
@@ -1407,38 +5146,12 @@ app.get('/api/:session/messages/:jid', async (req, res) => {
                     }
                 }
 
-                // Check if message is unread (messages that are not from me and might be unread)
-                // Note: Baileys doesn't directly mark messages as unread, but we can infer
-                // by checking if it's recent and not from me
-                const isRecent = timestamp && (Date.now() - new Date(timestamp).getTime()) < 24 * 60 * 60 * 1000; // Last 24 hours
-                const mightBeUnread = !fromMe && isRecent;
-
                 // Extract message content
-                let messageText = '';
-                let messageType = 'unknown';
-
-                if (msg.message?.conversation) {
-                    messageText = msg.message.conversation;
-                    messageType = 'text';
-                } else if (msg.message?.extendedTextMessage?.text) {
-                    messageText = msg.message.extendedTextMessage.text;
-                    messageType = 'text';
-                } else if (msg.message?.imageMessage) {
-                    messageText = msg.message.imageMessage.caption || '[Image]';
-                    messageType = 'image';
-                } else if (msg.message?.videoMessage) {
-                    messageText = msg.message.videoMessage.caption || '[Video]';
-                    messageType = 'video';
-                } else if (msg.message?.audioMessage) {
-                    messageText = '[Audio]';
-                    messageType = 'audio';
-                } else if (msg.message?.documentMessage) {
-                    messageText = '[Document] ' + (msg.message.documentMessage.fileName || '');
-                    messageType = 'document';
-                } else if (msg.message?.stickerMessage) {
-                    messageText = '[Sticker]';
-                    messageType = 'sticker';
-                }
+                const { type: messageType, text: messageText } = getMessageTypeAndText(msg);
+
+                // Media is downloaded separately via /media/:jid/:messageId
+                const media = getMediaInfo(msg);
+                const details = getMessageDetails(msg);
 
                 return {
                     id: messageId,
@@ -1447,7 +5160,18 @@ app.get('/api/:session/messages/:jid', async (req, res) => {
                     text: messageText,
                     type: messageType,
                     timestamp: timestamp,
-                    mightBeUnread: mightBeUnread,
+                    status: typeof msg.status === 'number' ? (MESSAGE_STATUS_NAMES[msg.status] || String(msg.status)) : null,
+                    media: media ? {
+                        ...media,
+                        url: `/api/${sessionName}/media/${encodeURIComponent(from)}/${encodeURIComponent(messageId)}`
+                    } : null,
+                    editedAt: msg.editedAt || null,
+                    editHistory: msg.editHistory || [],
+                    deletedAt: msg.deletedAt || null,
+                    reactions: msg.reactions || [],
+                    reactionCounts: countReactions(msg),
+                    ...details,
+                    unread: unreadIds.has(messageId),
                     raw: msg // Include raw for debugging
                 };
             } catch (e) {
@@ -1460,179 +5184,976 @@ app.get('/api/:session/messages/:jid', async (req, res) => {
                     text: '[Error formatting message]',
                     type: 'unknown',
                     timestamp: null,
-                    mightBeUnread: false,
+                    status: null,
+                    unread: false,
                     raw: msg
                 };
             }
         }).filter(msg => msg !== null && msg.id); // Filter out any null/invalid messages
 
-        // Sort messages: unread/recent first, then by timestamp (newest first for display)
+        // Sort messages by timestamp (newest first)
         formattedMessages.sort((a, b) => {
-            // Prioritize potentially unread messages
-            if (a.mightBeUnread && !b.mightBeUnread) return -1;
-            if (!a.mightBeUnread && b.mightBeUnread) return 1;
-
-            // Then sort by timestamp (newest first)
             const timeA = a.timestamp ? new Date(a.timestamp).getTime() : 0;
             const timeB = b.timestamp ? new Date(b.timestamp).getTime() : 0;
             return timeB - timeA;
         });
 
-        // Take the most recent messages (WhatsApp MD limit: 20-30 messages max)
-        // Don't try to get more than what WhatsApp provides
-        const finalLimit = Math.min(20, Math.max(minMessages, Math.min(requestedLimit, formattedMessages.length)));
-        const finalMessages = formattedMessages.slice(0, finalLimit);
-
-        // Reverse to show oldest first (for chat display)
+        // The page is already limited - reverse to show oldest first (for chat display)
+        const finalMessages = formattedMessages;
         finalMessages.reverse();
 
-        logger.info(`Returning ${finalMessages.length} messages for ${jid} (from ${formattedMessages.length} total, unread: ${unreadCount})`);
+        logger.info(`Returning ${finalMessages.length} messages for ${jid} (from ${page.total} stored, unread: ${unreadCount})`);
 
         // Return success even if no messages (WhatsApp MD limitation, not an error)
         res.json({
             success: true,
             messages: finalMessages,
             total: finalMessages.length,
+            totalStored: page.total,
+            hasMoreBefore: page.hasMoreBefore,
+            hasMoreAfter: page.hasMoreAfter,
+            cursors: {
+                // Pass as ?before= / ?after= to fetch the neighbouring pages
+                before: page.messages.length > 0 ? page.messages[0].key.id : null,
+                after: page.messages.length > 0 ? page.messages[page.messages.length - 1].key.id : null
+            },
             unreadCount: unreadCount,
+            markedUnread,
+            firstUnreadId: finalMessages.find(msg => msg.unread)?.id || null,
             jid: jid,
             warning: messages.length === 0 ?
                 'No messages available. This is a WhatsApp MD limitation - messages are only available if the chat was recently opened on the linked device.' :
                 null
         });
     } catch (error) {
-        logger.error('Error loading messages:', error);
-        logger.error('Error stack:', error.stack);
-        // Don't return 500 error - return empty messages with explanation
-        if (!res.headersSent) {
-            res.json({
-                success: true,
-                messages: [],
-                total: 0,
-                unreadCount: 0,
-                jid: jid,
-                error: error.message,
-                warning: `Error loading messages: ${error.message}. Messages are only available if the chat was recently opened on the linked device.`
-            });
-        }
+        logger.error('Error loading messages:', error);
+        logger.error('Error stack:', error.stack);
+        // Don't return 500 error - return empty messages with explanation
+        if (!res.headersSent) {
+            res.json({
+                success: true,
+                messages: [],
+                total: 0,
+                unreadCount: 0,
+                jid: jid,
+                error: error.message,
+                warning: `Error loading messages: ${error.message}. Messages are only available if the chat was recently opened on the linked device.`
+            });
+        }
+    }
+});
+
+// Mark incoming messages of a chat as read on the phone (sends read receipts).
+// Body: { messageIds } - defaults to all unread messages of the chat
+app.post('/api/:session/messages/:jid/read', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const jid = decodeURIComponent(req.params.jid);
+    const { messageIds } = req.body;
+    const sock = sockets.get(sessionName);
+
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+
+    if (messageIds !== undefined && (!Array.isArray(messageIds) || messageIds.length === 0 || !messageIds.every(id => typeof id === 'string'))) {
+        return res.status(400).json({ error: 'messageIds must be a non-empty array of message IDs' });
+    }
+
+    const ids = messageIds || Array.from(getUnreadMessageIds(sessionName, jid));
+    const toRead = [];
+    for (const messageId of ids) {
+        const msg = findStoredMessage(sessionName, messageId, jid);
+        if (!msg) {
+            return res.status(404).json({ error: `Message ${messageId} not found in chat ${jid}` });
+        }
+        // Our own messages have nothing to mark
+        if (!msg.key.fromMe) {
+            toRead.push(msg);
+        }
+    }
+
+    try {
+        if (toRead.length > 0) {
+            await sock.readMessages(toRead.map(msg => msg.key));
+
+            const newest = toRead.reduce((a, b) => (getMessageTimestamp(b) > getMessageTimestamp(a) ? b : a));
+            markChatReadUpTo(sessionName, newest);
+            logger.info(`👁️ Marked ${toRead.length} messages read in ${jid} (${sessionName})`);
+        }
+
+        res.json({
+            success: true,
+            jid,
+            readMessageIds: toRead.map(msg => msg.key.id),
+            ...getChatUnreadState(sessionChats.get(sessionName)?.get(jid))
+        });
+    } catch (error) {
+        logger.error(`Error marking messages read in ${jid}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download the decrypted media of a stored message (?download=true serves it as an attachment).
+// Media whose URL has expired is re-requested from the phone, which needs the session to be connected.
+app.get('/api/:session/media/:jid/:messageId', authorize('read'), async (req, res) => {
+    const sessionName = req.params.session;
+    const jid = decodeURIComponent(req.params.jid);
+    const messageId = req.params.messageId;
+    const sock = sockets.get(sessionName);
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const msg = findStoredMessage(sessionName, messageId, jid);
+    if (!msg) {
+        return res.status(404).json({ error: `Message ${messageId} not found in chat ${jid}` });
+    }
+    const media = getMediaInfo(msg);
+    if (!media) {
+        return res.status(400).json({ error: 'Message has no downloadable media' });
+    }
+
+    // Only set once there is media to send, so error responses keep their JSON content type
+    const setMediaHeaders = () => {
+        res.set('Content-Type', media.mimetype);
+        res.set('Content-Disposition', getContentDisposition(media.fileName, req.query.download === 'true'));
+    };
+
+    // Serve from the disk cache when possible
+    const cachePath = getMediaCachePath(sessionName, messageId);
+    if (MEDIA_CACHE_MAX_MB > 0 && fs.existsSync(cachePath)) {
+        setMediaHeaders();
+        const now = new Date();
+        fs.utimesSync(cachePath, now, now); // Mark as recently used
+        res.set('Content-Length', fs.statSync(cachePath).size);
+        logger.info(`📎 Serving cached media of message ${messageId} (${sessionName})`);
+        return fs.createReadStream(cachePath).pipe(res);
+    }
+
+    let reuploaded = false;
+    let stream;
+    try {
+        stream = await downloadMediaMessage(msg, 'stream', {}, {
+            logger,
+            reuploadRequest: async (message) => {
+                if (!isSessionConnected(sessionName, sock)) {
+                    throw new Error('Media has expired and the session is not connected to request it again');
+                }
+                reuploaded = true;
+                return sock.updateMediaMessage(message);
+            }
+        });
+    } catch (error) {
+        logger.error(`Error downloading media of message ${messageId}: ${error.message}`);
+        return res.status(502).json({ error: 'Failed to download media', details: error.message });
+    }
+
+    // The phone sent a new URL for expired media - keep it for the next download
+    if (reuploaded) {
+        storeMessage(sessionName, msg, { replace: true });
+    }
+
+    logger.info(`📎 Downloading ${media.type} of message ${messageId} (${sessionName})`);
+    setMediaHeaders();
+
+    // Cache media that fits (when its size is known upfront)
+    let cacheFile = null;
+    const tmpPath = `${cachePath}.${process.pid}.tmp`;
+    if (MEDIA_CACHE_MAX_MB > 0 && media.fileLength && media.fileLength <= MEDIA_CACHE_MAX_MB * 1024 * 1024) {
+        fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+        cacheFile = fs.createWriteStream(tmpPath);
+        cacheFile.on('error', (err) => logger.warn(`Could not cache media of message ${messageId}: ${err.message}`));
+        stream.pipe(cacheFile);
+    }
+
+    stream.on('error', (err) => {
+        logger.error(`Error streaming media of message ${messageId}: ${err.message}`);
+        if (cacheFile) {
+            cacheFile.destroy();
+            fs.rmSync(tmpPath, { force: true });
+        }
+        res.destroy(err);
+    });
+
+    if (cacheFile) {
+        cacheFile.on('finish', () => {
+            try {
+                fs.renameSync(tmpPath, cachePath);
+                enforceMediaCacheLimit(sessionName);
+            } catch (err) {
+                logger.warn(`Could not cache media of message ${messageId}: ${err.message}`);
+            }
+        });
+    }
+
+    stream.pipe(res);
+});
+
+// Send message
+// The body carries one of: message (text), location { latitude, longitude, name, address },
+// contacts (one or an array of { name, phone/phones, organization, email } or { name, vcard }) or
+// poll { name, options, selectableCount (0 = any number, default 1) }.
+// Optional: quotedMessageId (a stored message in the same chat) to reply to it, and mentions (phones/JIDs)
+// to tag group members in text messages - WhatsApp only highlights a mention if the text also contains "@<phone>".
+app.post('/api/:session/send-message', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const { phone, message, chatId, chatJid, isGroup, quotedMessageId, mentions, location, contacts, poll } = req.body;
+    const sock = sockets.get(sessionName);
+
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+
+    const payloadCount = [message, location, contacts, poll].filter(Boolean).length;
+    if (payloadCount === 0) {
+        return res.status(400).json({ error: 'Message is required (or a location, contacts or poll)' });
+    }
+    if (payloadCount > 1) {
+        return res.status(400).json({ error: 'Send only one of message, location, contacts or poll' });
+    }
+
+    let typed = null;
+    if (!message) {
+        typed = buildTypedMessageContent({ location, contacts, poll });
+        if (typed.error) {
+            return res.status(typed.status).json({ error: typed.error });
+        }
+        if (mentions !== undefined) {
+            return res.status(400).json({ error: 'mentions can only be used with text messages' });
+        }
+    }
+
+    let mentionJids = [];
+    if (mentions !== undefined) {
+        const normalized = normalizeJidList(mentions, 'mentions');
+        if (normalized.error) {
+            return res.status(normalized.status).json({ error: normalized.error });
+        }
+        mentionJids = normalized.jids;
+    }
+
+    try {
+        const target = await resolveTargetJid(sock, { phone, chatId, chatJid, isGroup });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+        const jid = target.jid;
+
+        let quoted;
+        if (quotedMessageId) {
+            quoted = findStoredMessage(sessionName, quotedMessageId, jid);
+            if (!quoted) {
+                // The chat may be stored under its @lid JID while the target resolved to the phone JID
+                const byId = findStoredMessage(sessionName, quotedMessageId);
+                if (byId && byId.key.remoteJid.endsWith('@lid') && !jid.endsWith('@g.us')) {
+                    quoted = byId;
+                }
+            }
+            if (!quoted) {
+                return res.status(404).json({ error: `Quoted message ${quotedMessageId} not found in chat ${jid}` });
+            }
+        }
+
+        // Send the message
+        logger.info(`📤 Attempting to send message to ${jid}${quoted ? ` (reply to ${quotedMessageId})` : ''}`);
+        const summary = typed ? typed.summary : message;
+        logger.info(`📝 Message: ${summary.substring(0, 50)}${summary.length > 50 ? '...' : ''}`);
+
+        const content = typed ? typed.content : { text: message };
+        if (mentionJids.length > 0) {
+            content.mentions = mentionJids;
+        }
+        const result = await sock.sendMessage(jid, content, quoted ? { quoted } : undefined);
+
+        if (!result || !result.key) {
+            throw new Error('Message send returned invalid response');
+        }
+
+        const messageId = result.key.id;
+        logger.info(`✅ Message sent to ${jid}, messageId: ${messageId}`);
+
+        // Store our copy so delivery/read updates can be recorded against it
+        storeMessage(sessionName, result);
+
+        res.json({
+            success: true,
+            messageId: messageId,
+            jid: jid,
+            quotedMessageId: quoted ? quotedMessageId : null,
+            mentions: mentionJids,
+            status: 'sent',
+            note: `Message accepted by WhatsApp. Track delivery via GET /api/${sessionName}/message-status/${messageId}`
+        });
+    } catch (error) {
+        logger.error('Error sending message:', error);
+        logger.error('Error details:', {
+            session: sessionName,
+            phone: phone,
+            chatId: chatId,
+            isGroup: isGroup,
+            errorMessage: error.message,
+            errorStack: error.stack
+        });
+
+        // Provide more detailed error message
+        res.status(500).json({ error: describeSendError(error) });
+    }
+});
+
+// React to, edit or delete (for everyone) a message: POST /api/:session/messages/:jid/:messageId/react|edit|revoke
+// react: { emoji } (empty emoji removes our reaction), edit: { message }. Only our own messages can be
+// edited or revoked. The stored copy is updated so /messages/:jid shows the new state.
+app.post('/api/:session/messages/:jid/:messageId/:action', authorize('send'), async (req, res) => {
+    const sessionName = req.params.session;
+    const jid = decodeURIComponent(req.params.jid);
+    const { messageId, action } = req.params;
+    const sock = sockets.get(sessionName);
+
+    if (!['react', 'edit', 'revoke'].includes(action)) {
+        return res.status(400).json({ error: `Unknown action: ${action}. Use react, edit or revoke` });
+    }
+
+    if (!isSessionConnected(sessionName, sock)) {
+        return res.status(400).json({ error: 'Session not connected' });
+    }
+
+    const msg = findStoredMessage(sessionName, messageId, jid);
+    if (!msg) {
+        return res.status(404).json({ error: `Message ${messageId} not found in chat ${jid}` });
+    }
+    if (msg.deletedAt) {
+        return res.status(400).json({ error: 'Message was deleted' });
+    }
+    if (action !== 'react' && !msg.key.fromMe) {
+        return res.status(403).json({ error: `Only messages sent by this session can be ${action === 'edit' ? 'edited' : 'revoked'}` });
+    }
+
+    let content;
+    if (action === 'react') {
+        const emoji = req.body.emoji ?? '';
+        if (typeof emoji !== 'string' || [...emoji].length > 10) {
+            return res.status(400).json({ error: 'emoji must be a single emoji (or empty to remove the reaction)' });
+        }
+        content = { react: { text: emoji, key: msg.key } };
+    } else if (action === 'edit') {
+        const text = req.body.message;
+        if (!text || typeof text !== 'string') {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+        if (!getEditableText(msg)) {
+            return res.status(400).json({ error: 'Only text messages and media captions can be edited' });
+        }
+        const sentAt = getMessageTimestamp(msg) * 1000;
+        if (sentAt && Date.now() - sentAt > MESSAGE_EDIT_WINDOW_MS) {
+            return res.status(400).json({ error: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MS / 60000} minutes of sending` });
+        }
+        content = { text, edit: msg.key };
+    } else {
+        content = { delete: msg.key };
+    }
+
+    try {
+        await sock.sendMessage(jid, content);
+        logger.info(`✏️ ${action} on message ${messageId} in ${jid} (${sessionName})`);
+
+        const now = new Date().toISOString();
+        if (action === 'react') {
+            applyMessageReaction(sessionName, msg, getSenderJid(sessionName, { fromMe: true }), content.react.text, now);
+        } else if (action === 'edit') {
+            applyMessageEdit(sessionName, msg, content.text, now);
+        } else {
+            applyMessageRevoke(sessionName, msg, getSenderJid(sessionName, { fromMe: true }), now);
+        }
+
+        res.json({
+            success: true,
+            action,
+            messageId,
+            jid,
+            text: getMessageTypeAndText(msg).text,
+            editedAt: msg.editedAt || null,
+            deletedAt: msg.deletedAt || null,
+            reactions: msg.reactions || []
+        });
+    } catch (error) {
+        logger.error(`Error performing ${action} on message ${messageId}: ${error.message}`);
+        res.status(500).json({ error: describeSendError(error) });
     }
 });
 
-// Send message
-app.post('/api/:session/send-message', async (req, res) => {
+// Send media (image, video, audio/voice note, document)
+// Accepts a multipart "file" upload, a "base64" payload (optionally a data URL) or a "filePath" inside MEDIA_DIR
+app.post('/api/:session/send-media', authorize('send'), mediaJsonParser, upload.single('file'), async (req, res) => {
     const sessionName = req.params.session;
-    const { phone, message, chatId, chatJid, isGroup } = req.body;
+    const { phone, chatId, chatJid, isGroup, caption, fileName, mimetype, base64, filePath } = req.body;
+    const asVoiceNote = req.body.asVoiceNote === true || req.body.asVoiceNote === 'true';
+    const asDocument = req.body.asDocument === true || req.body.asDocument === 'true';
     const sock = sockets.get(sessionName);
 
-    if (!sock || !sock.user) {
+    if (!isSessionConnected(sessionName, sock)) {
         return res.status(400).json({ error: 'Session not connected' });
     }
 
-    if (!message) {
-        return res.status(400).json({ error: 'Message is required' });
+    const media = loadMediaSource({ file: req.file, base64, filePath, mimetype, fileName });
+    if (media.error) {
+        return res.status(media.status).json({ error: media.error });
+    }
+    if (asVoiceNote && !isVoiceNoteMimetype(media.mimetype)) {
+        return res.status(400).json({ error: `Voice notes must be ogg/opus audio (got ${media.mimetype}). Convert it first or send it without asVoiceNote.` });
     }
 
     try {
-        let jid;
-
-        // Support chatJid, chatId (for replying to existing chats) and phone (for new chats)
-        // chatJid is the preferred parameter name from frontend
-        const targetJid = chatJid || chatId;
-
-        if (targetJid && targetJid.includes('@')) {
-            // Direct JID provided (for replying to chats) - can be individual or group
-            jid = targetJid;
-            const isGroupChat = jid.endsWith('@g.us');
-            logger.info(`Sending message to ${isGroupChat ? 'group' : 'chat'}: ${jid}`);
-        } else if (isGroup && chatId) {
-            jid = chatId;
-            logger.info(`Sending message to group: ${jid}`);
-        } else if (phone) {
-            // Format phone number - remove all non-digits
-            let cleanPhone = phone.replace(/[^\d]/g, '');
-
-            // Remove @s.whatsapp.net if present
-            cleanPhone = cleanPhone.replace('@s.whatsapp.net', '');
-
-            // Validate phone number length (should be 10-15 digits)
-            if (cleanPhone.length < 10 || cleanPhone.length > 15) {
-                return res.status(400).json({
-                    error: `Invalid phone number length: ${cleanPhone.length} digits. Phone number should be 10-15 digits.`
-                });
-            }
-
-            jid = `${cleanPhone}@s.whatsapp.net`;
-            logger.info(`Sending message to phone: ${jid} (cleaned from: ${phone})`);
-
-            // Verify the number is on WhatsApp before sending (optional but recommended)
-            try {
-                const exists = await sock.onWhatsApp(jid);
-                if (!exists || !exists[0] || !exists[0].exists) {
-                    logger.warn(`Phone number ${jid} is not on WhatsApp`);
-                    return res.status(400).json({
-                        error: `Phone number ${cleanPhone} is not registered on WhatsApp`
-                    });
-                }
-                logger.info(`Verified ${jid} is on WhatsApp`);
-            } catch (verifyError) {
-                logger.warn(`Could not verify WhatsApp status for ${jid}: ${verifyError.message}`);
-                // Continue anyway - sometimes verification fails but message can still be sent
-            }
-        } else {
-            return res.status(400).json({ error: 'Either phone or chatId (with isGroup) is required' });
+        const target = await resolveTargetJid(sock, { phone, chatId, chatJid, isGroup });
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
         }
+        const jid = target.jid;
 
-        // Send the message
-        logger.info(`📤 Attempting to send message to ${jid}`);
-        logger.info(`📝 Message: ${message.substring(0, 50)}${message.length > 50 ? '...' : ''}`);
+        const content = buildMediaContent(media, { caption, asDocument, asVoiceNote });
+        const mediaType = ['image', 'video', 'audio', 'document'].find(key => content[key]);
 
-        const result = await sock.sendMessage(jid, { text: message });
+        logger.info(`📤 Attempting to send ${asVoiceNote ? 'voice note' : mediaType} to ${jid} (${media.mimetype}, ${media.buffer.length} bytes)`);
+
+        const result = await sock.sendMessage(jid, content);
 
         if (!result || !result.key) {
             throw new Error('Message send returned invalid response');
         }
 
         const messageId = result.key.id;
-        logger.info(`✅ Message sent to ${jid}, messageId: ${messageId}`);
-        logger.info(`📊 Message status will be tracked - check logs for delivery updates`);
-        logger.info(`💡 Note: Status 2 = sent to server, Status 3 = delivered, Status 4 = read`);
+        logger.info(`✅ Media sent to ${jid}, messageId: ${messageId}`);
+
+        // Store our copy so delivery/read updates can be recorded against it
+        storeMessage(sessionName, result);
 
         res.json({
             success: true,
             messageId: messageId,
             jid: jid,
+            type: mediaType,
             status: 'sent',
-            note: 'Message accepted by WhatsApp. Check server logs for delivery status (Status 3 = delivered).'
+            note: `Message accepted by WhatsApp. Track delivery via GET /api/${sessionName}/message-status/${messageId}`
         });
     } catch (error) {
-        logger.error('Error sending message:', error);
+        logger.error('Error sending media:', error);
         logger.error('Error details:', {
             session: sessionName,
             phone: phone,
             chatId: chatId,
             isGroup: isGroup,
+            mimetype: media.mimetype,
             errorMessage: error.message,
             errorStack: error.stack
         });
 
-        // Provide more detailed error message
-        let errorMessage = error.message;
-        if (error.message.includes('not-authorized')) {
-            errorMessage = 'Session not authorized. Please reconnect your WhatsApp session.';
-        } else if (error.message.includes('rate limit')) {
-            errorMessage = 'Rate limit exceeded. Please wait before sending more messages.';
-        } else if (error.message.includes('not found') || error.message.includes('404')) {
-            errorMessage = 'Recipient not found on WhatsApp.';
+        res.status(500).json({ error: describeSendError(error) });
+    }
+});
+
+// Register a webhook for a session
+app.post('/api/:session/webhooks', authorize('admin'), (req, res) => {
+    const sessionName = req.params.session;
+    const { url, events, secret } = req.body;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error('unsupported protocol');
+        }
+    } catch (e) {
+        return res.status(400).json({ error: 'A valid http(s) url is required' });
+    }
+
+    if (events !== undefined && !Array.isArray(events)) {
+        return res.status(400).json({ error: 'events must be an array' });
+    }
+
+    // The secret keys the HMAC signature, so it has to be a string
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length === 0)) {
+        return res.status(400).json({ error: 'secret must be a non-empty string' });
+    }
+
+    const subscribedEvents = events && events.length ? events : ['*'];
+    const unknownEvents = subscribedEvents.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+    if (unknownEvents.length > 0) {
+        return res.status(400).json({
+            error: `Unknown events: ${unknownEvents.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')} or *`
+        });
+    }
+
+    const webhook = {
+        id: crypto.randomUUID(),
+        url,
+        events: subscribedEvents,
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        enabled: true,
+        createdAt: new Date().toISOString(),
+        createdBy: getRequester(req)
+    };
+
+    getWebhooks(sessionName).push(webhook);
+    saveWebhooks(sessionName);
+    logger.info(`Webhook ${webhook.id} registered for session ${sessionName}: ${url} (${subscribedEvents.join(', ')})`);
+
+    // The secret is only returned in full once, at registration time
+    res.json({ success: true, webhook });
+});
+
+// List webhooks for a session
+app.get('/api/:session/webhooks', authorize('admin'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    res.json({ success: true, webhooks: getWebhooks(sessionName).map(maskWebhook), events: WEBHOOK_EVENTS });
+});
+
+// Remove a webhook
+app.delete('/api/:session/webhooks/:webhookId', authorize('admin'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const webhooks = getWebhooks(sessionName);
+    const index = webhooks.findIndex(w => w.id === req.params.webhookId);
+    if (index === -1) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    webhooks.splice(index, 1);
+    saveWebhooks(sessionName);
+    // Its deliveries waiting for a retry are dropped (their timers see the entry is gone)
+    for (const [key, retry] of pendingWebhookRetries.get(sessionName) || []) {
+        if (retry.webhookId === req.params.webhookId) {
+            setPendingWebhookRetry(sessionName, key, null);
+        }
+    }
+    logger.info(`Webhook ${req.params.webhookId} removed from session ${sessionName}`);
+
+    res.json({ success: true, message: 'Webhook removed' });
+});
+
+// List webhook deliveries that failed all retry attempts
+app.get('/api/:session/webhooks/dead-letters', authorize('admin'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const deadLetters = readSessionJson(sessionName, 'webhook_dead_letters.json', []);
+    res.json({ success: true, deadLetters, total: deadLetters.length });
+});
+
+// Replay dead-lettered deliveries (all of them, or a single one by delivery id)
+app.post('/api/:session/webhooks/dead-letters/replay', authorize('admin'), (req, res) => {
+    const sessionName = req.params.session;
+    const deliveryId = req.body.deliveryId || req.query.deliveryId;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const deadLetters = readSessionJson(sessionName, 'webhook_dead_letters.json', []);
+    const toReplay = deliveryId ? deadLetters.filter(d => d.id === deliveryId) : deadLetters;
+    if (deliveryId && toReplay.length === 0) {
+        return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    const webhooks = getWebhooks(sessionName);
+    const replayed = [];
+    const skipped = [];
+    for (const deadLetter of toReplay) {
+        const webhook = webhooks.find(w => w.id === deadLetter.webhookId);
+        if (!webhook) {
+            // Webhook was removed since - keep the entry so it isn't silently lost
+            skipped.push(deadLetter.id);
+            continue;
+        }
+        deliverWebhook(sessionName, webhook, deadLetter.payload, 1);
+        replayed.push(deadLetter.id);
+    }
+
+    writeSessionJson(sessionName, 'webhook_dead_letters.json', deadLetters.filter(d => !replayed.includes(d.id)));
+    logger.info(`Replaying ${replayed.length} dead-lettered webhook deliveries for session ${sessionName}`);
+
+    res.json({ success: true, replayed, skipped });
+});
+
+// Create a bulk campaign: recipients (JSON array, CSV text or uploaded CSV/JSON file) + template + pacing
+app.post('/api/:session/campaigns', authorize('send'), upload.single('file'), (req, res) => {
+    const sessionName = req.params.session;
+    const { name, template, csv } = req.body;
+    let { pacing, recipients } = req.body;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    if (!template || typeof template !== 'string') {
+        return res.status(400).json({ error: 'template is required (use {{column}} placeholders for per-recipient variables)' });
+    }
+
+    try {
+        // Multipart forms send JSON fields as strings
+        pacing = typeof pacing === 'string' ? JSON.parse(pacing) : (pacing === undefined ? {} : pacing);
+    } catch (e) {
+        pacing = null;
+    }
+    if (!pacing || typeof pacing !== 'object' || Array.isArray(pacing)) {
+        return res.status(400).json({ error: 'pacing must be a JSON object' });
+    }
+
+    const minDelayMs = pacing.minDelayMs !== undefined ? parseInt(pacing.minDelayMs) : CAMPAIGN_DEFAULT_MIN_DELAY_MS;
+    const maxDelayMs = pacing.maxDelayMs !== undefined ? parseInt(pacing.maxDelayMs) : Math.max(minDelayMs, CAMPAIGN_DEFAULT_MAX_DELAY_MS);
+    if (isNaN(minDelayMs) || isNaN(maxDelayMs) || minDelayMs < CAMPAIGN_MIN_DELAY_FLOOR_MS || maxDelayMs < minDelayMs) {
+        return res.status(400).json({
+            error: `pacing.minDelayMs must be at least ${CAMPAIGN_MIN_DELAY_FLOOR_MS} and pacing.maxDelayMs must not be lower than minDelayMs`
+        });
+    }
+
+    const parsed = parseCampaignRecipients({ recipients, csv, file: req.file });
+    if (parsed.error) {
+        return res.status(parsed.status).json({ error: parsed.error });
+    }
+
+    const autoStart = req.body.autoStart === undefined || req.body.autoStart === true || req.body.autoStart === 'true';
+    const campaign = {
+        id: crypto.randomUUID(),
+        name: name || `Campaign ${new Date().toISOString()}`,
+        template,
+        pacing: {
+            minDelayMs,
+            maxDelayMs,
+            batchSize: parseInt(pacing.batchSize) || null,
+            batchPauseMs: parseInt(pacing.batchPauseMs) || null
+        },
+        status: autoStart ? 'running' : 'paused',
+        createdAt: new Date().toISOString(),
+        createdBy: getRequester(req),
+        startedAt: null,
+        completedAt: null,
+        nextSendAt: null,
+        recipients: parsed.recipients
+    };
+
+    getCampaigns(sessionName).set(campaign.id, campaign);
+    saveCampaign(sessionName, campaign);
+    logger.info(`📣 Campaign ${campaign.id} (${campaign.name}) created for ${sessionName} with ${campaign.recipients.length} recipients`);
+
+    if (autoStart) {
+        runCampaigns(sessionName);
+    }
+
+    res.json({ success: true, campaign: summarizeCampaign(campaign) });
+});
+
+// List campaigns of a session
+app.get('/api/:session/campaigns', authorize('read'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const campaigns = Array.from(getCampaigns(sessionName).values())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(summarizeCampaign);
+
+    res.json({ success: true, campaigns, total: campaigns.length });
+});
+
+// Get a campaign with per-recipient progress (?status=failed to filter recipients)
+app.get('/api/:session/campaigns/:campaignId', authorize('read'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const campaign = getCampaigns(sessionName).get(req.params.campaignId);
+    if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const recipients = req.query.status
+        ? campaign.recipients.filter(r => r.status === req.query.status)
+        : campaign.recipients;
+
+    res.json({ success: true, campaign: summarizeCampaign(campaign), recipients });
+});
+
+// Pause, resume, cancel or retry the failed recipients of a campaign
+app.post('/api/:session/campaigns/:campaignId/:action', authorize('send'), (req, res) => {
+    const sessionName = req.params.session;
+    const action = req.params.action;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const campaign = getCampaigns(sessionName).get(req.params.campaignId);
+    if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (campaign.status === 'cancelled' && action !== 'retry-failed') {
+        return res.status(400).json({ error: 'Campaign was cancelled' });
+    }
+
+    if (action === 'pause') {
+        if (campaign.status !== 'running') {
+            return res.status(400).json({ error: `Campaign is ${campaign.status}, not running` });
+        }
+        campaign.status = 'paused';
+        campaign.nextSendAt = null;
+    } else if (action === 'resume') {
+        if (campaign.status !== 'paused') {
+            return res.status(400).json({ error: `Campaign is ${campaign.status}, not paused` });
+        }
+        campaign.status = 'running';
+    } else if (action === 'cancel') {
+        campaign.status = 'cancelled';
+        campaign.nextSendAt = null;
+        for (const recipient of campaign.recipients) {
+            if (recipient.status === 'pending') {
+                recipient.status = 'skipped';
+                recipient.updatedAt = new Date().toISOString();
+            }
+        }
+    } else if (action === 'retry-failed') {
+        const failed = campaign.recipients.filter(r => r.status === 'failed');
+        if (failed.length === 0) {
+            return res.status(400).json({ error: 'No failed recipients to retry' });
         }
+        for (const recipient of failed) {
+            recipient.status = 'pending';
+            recipient.error = null;
+        }
+        campaign.status = 'running';
+        campaign.completedAt = null;
+    } else {
+        return res.status(400).json({ error: 'Unknown action. Use pause, resume, cancel or retry-failed' });
+    }
+
+    saveCampaign(sessionName, campaign);
+    logger.info(`📣 Campaign ${campaign.id} ${action} -> ${campaign.status}`);
+
+    if (campaign.status === 'running') {
+        runCampaigns(sessionName);
+    }
+
+    res.json({ success: true, campaign: summarizeCampaign(campaign) });
+});
+
+// Delete a campaign (a running campaign must be paused or cancelled first)
+app.delete('/api/:session/campaigns/:campaignId', authorize('send'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const campaigns = getCampaigns(sessionName);
+    const campaign = campaigns.get(req.params.campaignId);
+    if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status === 'running') {
+        return res.status(400).json({ error: 'Pause or cancel the campaign before deleting it' });
+    }
+
+    campaign.deleted = true;
+    campaigns.delete(campaign.id);
+    fs.rmSync(path.join(getSessionDir(sessionName), 'campaigns', `${campaign.id}.json`), { force: true });
+
+    res.json({ success: true, message: 'Campaign deleted' });
+});
+
+// Schedule a message for later delivery
+app.post('/api/:session/scheduled-messages', authorize('send'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const fields = parseScheduledMessageInput(req.body);
+    if (fields.error) {
+        return res.status(fields.status).json({ error: fields.error });
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        ...fields,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        jid: null,
+        messageId: null,
+        sentAt: null,
+        createdAt: new Date().toISOString(),
+        createdBy: getRequester(req)
+    };
+
+    getScheduledMessages(sessionName).push(job);
+    saveScheduledMessages(sessionName);
+    logger.info(`⏰ Scheduled message ${job.id} for ${sessionName} at ${job.sendAt}`);
+
+    res.json({ success: true, scheduledMessage: job });
+});
+
+// List scheduled messages (?status=pending|sent|failed|cancelled)
+app.get('/api/:session/scheduled-messages', authorize('read'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const scheduledMessages = getScheduledMessages(sessionName)
+        .filter(job => !req.query.status || job.status === req.query.status)
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+
+    res.json({ success: true, scheduledMessages, total: scheduledMessages.length });
+});
+
+// Get a scheduled message
+app.get('/api/:session/scheduled-messages/:jobId', authorize('read'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const job = getScheduledMessages(sessionName).find(j => j.id === req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    res.json({ success: true, scheduledMessage: job });
+});
+
+// Edit a scheduled message that hasn't been sent yet (a failed one is re-queued)
+app.put('/api/:session/scheduled-messages/:jobId', authorize('send'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const job = getScheduledMessages(sessionName).find(j => j.id === req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    if (job.status !== 'pending' && job.status !== 'failed') {
+        return res.status(400).json({ error: `Scheduled message is ${job.status} and can no longer be edited` });
+    }
+
+    const fields = parseScheduledMessageInput(req.body, job);
+    if (fields.error) {
+        return res.status(fields.status).json({ error: fields.error });
+    }
+
+    Object.assign(job, fields, { status: 'pending', lastError: null, updatedAt: new Date().toISOString() });
+    saveScheduledMessages(sessionName);
+    logger.info(`⏰ Scheduled message ${job.id} updated (send at ${job.sendAt})`);
+
+    res.json({ success: true, scheduledMessage: job });
+});
+
+// Cancel a scheduled message
+app.delete('/api/:session/scheduled-messages/:jobId', authorize('send'), (req, res) => {
+    const sessionName = req.params.session;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const job = getScheduledMessages(sessionName).find(j => j.id === req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    if (job.status !== 'pending' && job.status !== 'failed') {
+        return res.status(400).json({ error: `Scheduled message is ${job.status} and can no longer be cancelled` });
+    }
+
+    job.status = 'cancelled';
+    job.updatedAt = new Date().toISOString();
+    saveScheduledMessages(sessionName);
+    logger.info(`⏰ Scheduled message ${job.id} cancelled`);
+
+    res.json({ success: true, scheduledMessage: job });
+});
 
-        res.status(500).json({ error: errorMessage });
+// Get the vote tally of a poll message
+app.get('/api/:session/polls/:jid/:messageId', authorize('read'), (req, res) => {
+    const sessionName = req.params.session;
+    const jid = decodeURIComponent(req.params.jid);
+    const messageId = req.params.messageId;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const msg = findStoredMessage(sessionName, messageId, jid);
+    if (!msg) {
+        return res.status(404).json({ error: `Message ${messageId} not found in chat ${jid}` });
+    }
+    if (!getPollCreation(msg)) {
+        return res.status(400).json({ error: 'Message is not a poll' });
+    }
+
+    res.json({
+        messageId,
+        jid,
+        fromMe: msg.key.fromMe || false,
+        createdAt: toIsoTimestamp(msg.messageTimestamp),
+        ...getPollResults(msg),
+        votes: msg.pollVotes || []
+    });
+});
+
+// Get delivery/read status of a message (with per-participant receipts for groups)
+app.get('/api/:session/message-status/:messageId', authorize('read'), (req, res) => {
+    const sessionName = req.params.session;
+    const jid = req.query.jid ? decodeURIComponent(req.query.jid) : null;
+
+    if (!isValidSessionName(sessionName)) {
+        return res.status(400).json({ error: 'Invalid session name' });
+    }
+
+    const msg = findStoredMessage(sessionName, req.params.messageId, jid);
+    if (!msg) {
+        return res.status(404).json({ error: 'Message not found in store' });
     }
+
+    res.json({ success: true, ...getMessageStatusInfo(msg) });
 });
 
 // Close session
-app.delete('/api/:session/close-session', async (req, res) => {
+app.delete('/api/:session/close-session', authorize('admin'), async (req, res) => {
     const sessionName = req.params.session;
     const sock = sockets.get(sessionName);
 
+    // Detach the socket and cancel pending reconnects so the logout isn't handled as a disconnect
+    const info = getSessionInfo(sessionName);
+    info.socket = null;
+    if (info.reconnectTimer) {
+        clearTimeout(info.reconnectTimer);
+        info.reconnectTimer = null;
+        info.nextReconnectAt = null;
+    }
+
     if (sock) {
         try {
             await sock.logout();
@@ -1649,20 +6170,70 @@ app.delete('/api/:session/close-session', async (req, res) => {
     }
 
     qrCodes.delete(sessionName);
+    sessionWebhooks.delete(sessionName);
+    pendingWebhookRetries.delete(sessionName);
+    for (const campaign of sessionCampaigns.get(sessionName)?.values() || []) {
+        campaign.deleted = true;
+    }
+    sessionCampaigns.delete(sessionName);
+    sessionScheduledMessages.delete(sessionName);
+    setSessionState(sessionName, 'disconnected');
+    recordConnectionEvent(sessionName, 'closed', { reason: 'close-session' });
+    clearMessageStore(sessionName);
+    sessionGroupMetadata.delete(sessionName);
+    sessionGroupEvents.delete(sessionName);
 
     res.json({ success: true, message: 'Session closed' });
 });
 
+// Error handler for body/upload parsing failures (e.g. file over the size limit)
+app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: err.code === 'LIMIT_FILE_SIZE' ? `Media exceeds the ${MAX_MEDIA_SIZE_MB} MB limit` : err.message });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body too large' });
+    }
+    logger.error('Unhandled request error:', err);
+    res.status(err.status || 500).json({ error: err.message });
+});
+
 // Start server
 app.listen(PORT, () => {
     logger.info(`Baileys WhatsApp API server running on port ${PORT}`);
     logger.info(`Sessions directory: ${SESSIONS_DIR}`);
     logger.info(`Secret token: ${SECRET_TOKEN.substring(0, 10)}...`);
+    if (USING_DEFAULT_TOKEN) {
+        logger.warn('SECRET_TOKEN is not set - the built-in default token is accepted until the first API key is created');
+    }
+
+    deadLetterInterruptedWebhookRetries();
+
+    // Reconnect sessions saved before the restart (set RESTORE_SESSIONS=false to disable)
+    if (process.env.RESTORE_SESSIONS !== 'false') {
+        restoreSessions().catch(err => logger.error(`Session restore failed: ${err.message}`));
+    }
 });
 
+// Fire due scheduled messages (jobs are on disk, so this also picks up jobs scheduled before a restart)
+let schedulerRunning = false;
+setInterval(async () => {
+    if (schedulerRunning) return; // previous tick still sending
+    schedulerRunning = true;
+    try {
+        await processScheduledMessages();
+    } catch (err) {
+        logger.error(`Scheduler tick failed: ${err.message}`);
+    } finally {
+        schedulerRunning = false;
+    }
+}, SCHEDULER_INTERVAL_MS);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received, closing all sessions...');
+    flushMessageWrites();
     for (const [sessionName, sock] of sockets.entries()) {
         try {
             sock.end();